@@ -1,477 +1,5392 @@
-// Database configuration
-const DB_NAME = 'RabindraInfoTechDB';
-const DB_VERSION = 1;
-const STORE_NAME = 'entries';
-
-// File size limit (10MB)
-const MAX_FILE_SIZE = 10 * 1024 * 1024;
-
-// Allowed file types
-const ALLOWED_TYPES = {
-    'application/pdf': 'pdf',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
-    'text/plain': 'txt',
-    'image/jpeg': 'jpg',
-    'image/png': 'png',
-    'video/mp4': 'mp4'
+// File categories, as stored in entry.type. Each has its own size limit.
+const FILE_CATEGORIES = {
+    image: 'Images',
+    video: 'Videos',
+    audio: 'Audio',
+    document: 'Documents'
 };
 
+// Every file type the library knows, keyed by entry.fileType. mimeTypes are
+// what browsers report for it (the first is used when they report none);
+// icon is a bootstrap-icons class and preview names a handler in
+// DocumentManager.renderPreview(). text types are checked as plain text.
+const FILE_TYPES = {
+    pdf: {
+        label: 'PDF',
+        category: 'document',
+        mimeTypes: ['application/pdf'],
+        extensions: ['pdf'],
+        icon: 'bi-file-earmark-pdf pdf-icon',
+        preview: 'pdf'
+    },
+    docx: {
+        label: 'DOCX',
+        category: 'document',
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extensions: ['docx'],
+        icon: 'bi-file-earmark-word word-icon',
+        preview: 'docx'
+    },
+    xlsx: {
+        label: 'XLSX',
+        category: 'document',
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        extensions: ['xlsx'],
+        icon: 'bi-file-earmark-excel excel-icon',
+        preview: 'xlsx'
+    },
+    pptx: {
+        label: 'PPTX',
+        category: 'document',
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+        extensions: ['pptx'],
+        icon: 'bi-file-earmark-slides slides-icon',
+        preview: 'pptx'
+    },
+    txt: {
+        label: 'TXT',
+        category: 'document',
+        mimeTypes: ['text/plain'],
+        extensions: ['txt'],
+        icon: 'bi-file-earmark-text text-icon',
+        preview: 'text',
+        text: true
+    },
+    // Windows reports CSV files as Excel's old format
+    csv: {
+        label: 'CSV',
+        category: 'document',
+        mimeTypes: ['text/csv', 'application/vnd.ms-excel'],
+        extensions: ['csv'],
+        icon: 'bi-file-earmark-spreadsheet excel-icon',
+        preview: 'csv',
+        text: true
+    },
+    jpg: {
+        label: 'JPG',
+        category: 'image',
+        mimeTypes: ['image/jpeg'],
+        extensions: ['jpg', 'jpeg'],
+        icon: 'bi-file-earmark-image',
+        preview: 'image'
+    },
+    png: {
+        label: 'PNG',
+        category: 'image',
+        mimeTypes: ['image/png'],
+        extensions: ['png'],
+        icon: 'bi-file-earmark-image',
+        preview: 'image'
+    },
+    gif: {
+        label: 'GIF',
+        category: 'image',
+        mimeTypes: ['image/gif'],
+        extensions: ['gif'],
+        icon: 'bi-file-earmark-image',
+        preview: 'image'
+    },
+    webp: {
+        label: 'WebP',
+        category: 'image',
+        mimeTypes: ['image/webp'],
+        extensions: ['webp'],
+        icon: 'bi-file-earmark-image',
+        preview: 'image'
+    },
+    mp4: {
+        label: 'MP4',
+        category: 'video',
+        mimeTypes: ['video/mp4'],
+        extensions: ['mp4', 'm4v'],
+        icon: 'bi-film',
+        preview: 'video'
+    },
+    webm: {
+        label: 'WebM',
+        category: 'video',
+        mimeTypes: ['video/webm'],
+        extensions: ['webm'],
+        icon: 'bi-film',
+        preview: 'video'
+    },
+    mp3: {
+        label: 'MP3',
+        category: 'audio',
+        mimeTypes: ['audio/mpeg', 'audio/mp3'],
+        extensions: ['mp3'],
+        icon: 'bi-file-earmark-music audio-icon',
+        preview: 'audio'
+    }
+};
+
+// Largest size limit the policy panel accepts; server.js takes requests this big
+const MAX_SIZE_LIMIT = 100 * 1024 * 1024;
+
+// Tables in the CSV and XLSX previews stop after this many rows
+const PREVIEW_MAX_ROWS = 500;
+
+// Storage panel: rows per list, and the age after which videos are suggested for cleanup
+const STORAGE_REPORT_LIMIT = 10;
+const OLD_VIDEO_DAYS = 180;
+
+// Cache the service worker keeps shared files in; see receiveShare() in sw.js
+const SHARE_CACHE = 'shared-files';
+
+// Due date reminders: how often they are checked while the page is open, how
+// far ahead the service worker is told about, and how often it may check by itself
+const REMINDER_CHECK_INTERVAL = 60 * 60 * 1000;
+const REMINDER_HORIZON_DAYS = 365;
+const REMINDER_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+// How often to check whether the vault has been idle long enough to lock
+const VAULT_IDLE_CHECK_INTERVAL = 30 * 1000;
+
+// User preferences kept in localStorage
+const SETTINGS_KEY = 'settings';
+const DEFAULT_SETTINGS = {
+    // Entries in the trash are deleted permanently after this many days
+    trashRetentionDays: 30,
+    // Storage backend: 'indexeddb', 'memory' or 'rest' (see storage.js)
+    storageAdapter: 'indexeddb',
+    restStorageUrl: 'http://localhost:8787',
+    // Access token of the storage and sync servers (see server.js)
+    restStorageToken: '',
+    // Sync endpoint (see sync.js); empty turns sync off
+    syncUrl: '',
+    syncToken: '',
+    // Badge colors by lowercased tag name
+    tagColors: {},
+    // Entry list order: a key of SORT_INDEXES or 'relevance', and 'asc' or 'desc'
+    sortField: 'relevance',
+    sortDirection: 'desc',
+    // Entry list layout: 'list' or 'grid'
+    entryView: 'list',
+    // Which FILE_TYPES may be uploaded, and the size limit in bytes per category
+    fileTypePolicy: {
+        allowed: Object.keys(FILE_TYPES),
+        maxSize: {
+            image: 10 * 1024 * 1024,
+            video: 25 * 1024 * 1024,
+            audio: 20 * 1024 * 1024,
+            document: 10 * 1024 * 1024
+        }
+    },
+    // Extra fields on every entry: { id, label, type (a CUSTOM_FIELD_TYPES key), options for 'select' }.
+    // Values are kept in entry.fields by id, so renaming a field keeps them.
+    // Date fields with reminder: true are due dates (see checkReminders()).
+    customFields: [
+        { id: 'client', label: 'Client', type: 'text' },
+        { id: 'project', label: 'Project', type: 'text' },
+        { id: 'category', label: 'Document category', type: 'select', options: ['Contract', 'Invoice', 'Proposal', 'Report', 'Certificate', 'Other'] },
+        { id: 'reference', label: 'Reference number', type: 'text' },
+        { id: 'expiry', label: 'Expiry date', type: 'date', reminder: true }
+    ],
+    // Due dates this many days away or closer are listed as upcoming
+    reminderDays: 14,
+    // Lock the vault (see vault.js) after this many minutes without input; 0 never locks it
+    vaultAutoLockMinutes: 15
+};
+
+// Kinds of custom field, with their names in the field editor
+const CUSTOM_FIELD_TYPES = {
+    text: 'Text',
+    number: 'Number',
+    date: 'Date',
+    select: 'Choice'
+};
+
+// The entry list reads this many entries per cursor page and only keeps the
+// rows in view in the DOM. Rows have a fixed height (.entry-row in styles.css)
+// so their positions can be computed without rendering them.
+const PAGE_SIZE = 50;
+const ENTRY_ROW_HEIGHT = 104;
+// The grid view fits as many tiles of at least this width as it can in a row
+const GRID_TILE_WIDTH = 200;
+const GRID_ROW_HEIGHT = 236;
+// Rows rendered above and below the visible ones
+const ENTRY_ROW_OVERSCAN = 5;
+// Search once typing pauses for this long
+const SEARCH_DELAY = 250;
+// How long the slideshow shows each image; videos play to the end
+const SLIDESHOW_INTERVAL = 5000;
+// Largest zoom factor for images in the preview
+const MAX_ZOOM = 8;
+// The index each sort field reads entries through. 'relevance' ranks search
+// results by score and falls back to date when there is no search.
+const SORT_INDEXES = {
+    date: 'date',
+    title: 'sortTitle',
+    size: 'fileSize',
+    type: 'type'
+};
+
+// Library backup archives
+const BACKUP_FORMAT = 'rabindra-library';
+const BACKUP_VERSION = 1;
+
+// File types whose text content is extracted for full-text search
+const TEXT_INDEXED_TYPES = ['txt', 'csv', 'docx', 'xlsx', 'pptx', 'pdf'];
+
+// Black or white, whichever reads better on a #rrggbb background
+function getContrastColor(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#212529' : '#ffffff';
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Only object URLs we created and inline raster images may go into src/href
+const SAFE_URL_PATTERN = /^(blob:|data:image\/(png|jpeg|gif|webp);base64,)/i;
+
+function safeURL(url) {
+    return typeof url === 'string' && SAFE_URL_PATTERN.test(url) ? url : 'about:blank';
+}
+
+// Build an element whose text and attributes are set through the DOM, so
+// user content is never parsed as HTML. URL attributes go through safeURL().
+function createElement(tag, { className, text, attrs = {} } = {}, children = []) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined && text !== null) element.textContent = text;
+    Object.entries(attrs).forEach(([name, value]) => {
+        if (value === undefined || value === null) return;
+        element.setAttribute(name, ['src', 'href'].includes(name) ? safeURL(value) : value);
+    });
+    children.forEach(child => {
+        if (child) element.appendChild(child);
+    });
+    return element;
+}
+
+// The FILE_TYPES key of a file from the MIME type the browser reports, or
+// from its extension when it reports none. null for types the library does not know.
+function getFileTypeKey(file) {
+    const extension = (file.name || '').split('.').pop().toLowerCase();
+    const byExtension = (key) => FILE_TYPES[key].extensions.includes(extension);
+    const keys = Object.keys(FILE_TYPES);
+
+    const matches = keys.filter(key => FILE_TYPES[key].mimeTypes.includes(file.type));
+    if (matches.length > 0) {
+        return matches.find(byExtension) || matches[0];
+    }
+    if (!file.type || file.type === 'application/octet-stream') {
+        return keys.find(byExtension) || null;
+    }
+    return null;
+}
+
+// Identify a file from its content (magic bytes) rather than the name or the
+// browser-reported type. Returns a FILE_TYPES key ('txt' for any plain text), or null.
+async function detectFileType(blob) {
+    const head = new Uint8Array(await blob.slice(0, 8192).arrayBuffer());
+    const startsWith = (signature, offset = 0) => signature.every((byte, i) => head[offset + i] === byte);
+    const ascii = (text, offset = 0) => startsWith(Array.from(text, char => char.charCodeAt(0)), offset);
+
+    if (startsWith([0xff, 0xd8, 0xff])) return 'jpg';
+    if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+    if (ascii('GIF87a') || ascii('GIF89a')) return 'gif';
+    if (ascii('RIFF') && ascii('WEBP', 8)) return 'webp';
+    // The PDF header may be preceded by up to 1KB of junk
+    if (bytesToLatin1(head.subarray(0, 1024)).includes('%PDF-')) return 'pdf';
+    // ISO base media files start with an 'ftyp' box
+    if (ascii('ftyp', 4)) return 'mp4';
+    // EBML header, shared with Matroska
+    if (startsWith([0x1a, 0x45, 0xdf, 0xa3])) return 'webm';
+    // An ID3 tag or straight away an MPEG audio frame header
+    if (ascii('ID3') || (head[0] === 0xff && (head[1] & 0xe6) === 0xe2)) return 'mp3';
+    if (startsWith([0x50, 0x4b, 0x03, 0x04])) {
+        const names = [];
+        try {
+            await unzip(await blob.arrayBuffer(), name => {
+                names.push(name);
+                return false;
+            });
+        } catch (error) {
+            return null;
+        }
+        if (names.includes('word/document.xml')) return 'docx';
+        if (names.includes('xl/workbook.xml')) return 'xlsx';
+        if (names.includes('ppt/presentation.xml')) return 'pptx';
+        return null;
+    }
+
+    // Text: no NUL or other control bytes besides tab, newlines, form feed and escape
+    const isText = head.every(byte => byte >= 0x20 || [0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte));
+    return isText ? 'txt' : null;
+}
+
+// Hex SHA-256 digest of a Blob's content
+async function sha256Hex(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function bytesToLatin1(bytes) {
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return result;
+}
+
+// Inflate zlib ('deflate') or raw ('deflate-raw') data with the browser's DecompressionStream
+async function inflate(bytes, format) {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+    const chunks = [];
+    let length = 0;
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            length += value.length;
+        }
+    } catch (error) {
+        // PDF streams often carry junk after the compressed data; keep what was inflated
+        if (length === 0) throw error;
+    }
+
+    const result = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+// Read the files of a ZIP archive into a Map of name -> Uint8Array, optionally only those matching filter
+async function unzip(buffer, filter = () => true) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record sits before an optional comment of up to 64KB
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const decoder = new TextDecoder();
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/') || !filter(name)) continue;
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            files.set(name, data);
+        } else if (method === 8) {
+            files.set(name, await inflate(data, 'deflate-raw'));
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+        }
+    }
+
+    return files;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Build a ZIP archive from [{ name, data: Blob | Uint8Array | string, date }].
+// Files are stored uncompressed (most of them are already compressed formats)
+// and the archive is limited to 4GB since ZIP64 is not written.
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const blob = file.data instanceof Blob ? file.data : new Blob([file.data]);
+        const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+        const date = file.date || new Date();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // names are UTF-8
+        local.setUint16(8, 0, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, blob.size, true);
+        local.setUint32(22, blob.size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, blob);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, dosTime, true);
+        header.setUint16(14, dosDate, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, blob.size, true);
+        header.setUint32(24, blob.size, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);
+        central.push(header, name);
+
+        offset += 30 + name.length + blob.size;
+    }
+
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// Plain text of a DOCX file, one line per paragraph
+async function extractDocxText(buffer) {
+    const files = await unzip(buffer, name => name === 'word/document.xml');
+    const xml = files.get('word/document.xml');
+    if (!xml) return '';
+
+    const doc = new DOMParser().parseFromString(new TextDecoder().decode(xml), 'application/xml');
+    return Array.from(doc.getElementsByTagName('w:p'))
+        .map(paragraph => Array.from(paragraph.getElementsByTagName('w:t')).map(t => t.textContent).join(''))
+        .join('\n');
+}
+
+// Parse an XML file of an unzipped archive; null when the archive lacks it
+function parseArchiveXml(archive, name) {
+    return archive.has(name)
+        ? new DOMParser().parseFromString(new TextDecoder().decode(archive.get(name)), 'application/xml')
+        : null;
+}
+
+// Split CSV text into rows of fields. Quoted fields may hold commas, line
+// breaks and doubled quotes. Stops after maxRows rows.
+function parseCsv(text, maxRows = Infinity) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if ((field || row.length > 0) && rows.length < maxRows) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Zero-based column of a cell reference such as "AB12"
+function getColumnIndex(reference) {
+    const letters = (reference || '').match(/^[A-Z]+/);
+    if (!letters) return -1;
+    return Array.from(letters[0]).reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// The sheets of an XLSX workbook as [{ name, rows }], each row an array of
+// cell text. Formulas show the value Excel saved with them. Only the first
+// maxRows rows of each sheet are read.
+async function readXlsx(buffer, maxRows = Infinity) {
+    const archive = await unzip(buffer, name => name.startsWith('xl/'));
+    const workbook = parseArchiveXml(archive, 'xl/workbook.xml');
+    if (!workbook) {
+        throw new Error('xl/workbook.xml is missing');
+    }
+
+    const sharedDoc = parseArchiveXml(archive, 'xl/sharedStrings.xml');
+    const sharedStrings = sharedDoc
+        ? Array.from(sharedDoc.getElementsByTagName('si')).map(item => Array.from(item.getElementsByTagName('t')).map(t => t.textContent).join(''))
+        : [];
+    const rels = parseArchiveXml(archive, 'xl/_rels/workbook.xml.rels');
+    const targets = new Map(rels
+        ? Array.from(rels.getElementsByTagName('Relationship')).map(rel => [rel.getAttribute('Id'), rel.getAttribute('Target')])
+        : []);
+
+    return Array.from(workbook.getElementsByTagName('sheet')).map((sheet, i) => {
+        const target = targets.get(sheet.getAttribute('r:id')) || `worksheets/sheet${i + 1}.xml`;
+        const doc = parseArchiveXml(archive, target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+        const rows = !doc ? [] : Array.from(doc.getElementsByTagName('row')).slice(0, maxRows).map(row => {
+            const cells = [];
+            Array.from(row.getElementsByTagName('c')).forEach(cell => {
+                const valueEl = cell.getElementsByTagName('v')[0];
+                let value = valueEl ? valueEl.textContent : '';
+                const type = cell.getAttribute('t');
+                if (type === 's') value = sharedStrings[parseInt(value)] || '';
+                else if (type === 'inlineStr') value = Array.from(cell.getElementsByTagName('t')).map(t => t.textContent).join('');
+                else if (type === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+
+                const column = getColumnIndex(cell.getAttribute('r'));
+                cells[column === -1 ? cells.length : column] = value;
+            });
+            return Array.from(cells, cell => cell || '');
+        });
+        return { name: sheet.getAttribute('name'), rows };
+    });
+}
+
+// The text of each slide of a PPTX presentation, in slide order, as a list of paragraphs
+async function readPptxSlides(buffer) {
+    const archive = await unzip(buffer, name => name.startsWith('ppt/'));
+    const presentation = parseArchiveXml(archive, 'ppt/presentation.xml');
+    const rels = parseArchiveXml(archive, 'ppt/_rels/presentation.xml.rels');
+    if (!presentation || !rels) {
+        throw new Error('ppt/presentation.xml is missing');
+    }
+
+    const targets = new Map(Array.from(rels.getElementsByTagName('Relationship'))
+        .map(rel => [rel.getAttribute('Id'), rel.getAttribute('Target')]));
+    return Array.from(presentation.getElementsByTagName('p:sldId')).map(slideId => {
+        const target = targets.get(slideId.getAttribute('r:id')) || '';
+        const doc = parseArchiveXml(archive, target.startsWith('/') ? target.slice(1) : `ppt/${target}`);
+        if (!doc) return [];
+        return Array.from(doc.getElementsByTagName('a:p'))
+            .map(paragraph => Array.from(paragraph.getElementsByTagName('a:t')).map(t => t.textContent).join(''))
+            .filter(text => text.trim());
+    });
+}
+
+// Text shown by the content streams of a PDF. Only handles fonts with a simple
+// byte encoding; CID-keyed fonts without a ToUnicode lookup come out as noise.
+async function extractPdfText(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const raw = bytesToLatin1(bytes);
+    const streamPattern = /(?<!end)stream\r?\n/g;
+    const chunks = [];
+    let match;
+
+    while ((match = streamPattern.exec(raw))) {
+        const start = match.index + match[0].length;
+        const end = raw.indexOf('endstream', start);
+        if (end === -1) break;
+        streamPattern.lastIndex = end + 'endstream'.length;
+
+        const dict = raw.slice(raw.lastIndexOf('obj', match.index), match.index);
+        if (/\/Subtype\s*\/Image|\/FontFile|\/Length1|\/Type\s*\/(XRef|ObjStm|Metadata)/.test(dict)) continue;
+
+        let data = bytes.subarray(start, end);
+        if (/\/FlateDecode/.test(dict)) {
+            try {
+                data = await inflate(data, 'deflate');
+            } catch (error) {
+                continue;
+            }
+        } else if (/\/Filter/.test(dict)) {
+            continue;
+        }
+
+        const content = bytesToLatin1(data);
+        if (/\bBT\b/.test(content)) {
+            chunks.push(parsePdfTextOperators(content));
+        }
+    }
+
+    return chunks.join('\n');
+}
+
+// Page objects in a PDF. Returns 0 when they are hidden in compressed object streams.
+function countPdfPages(buffer) {
+    const matches = bytesToLatin1(new Uint8Array(buffer)).match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+    return matches ? matches.length : 0;
+}
+
+// Direct child elements of an XML node with the given qualified name
+function xmlChildren(node, name) {
+    return Array.from(node.children).filter(child => child.nodeName === name);
+}
+
+function xmlChild(node, name) {
+    return xmlChildren(node, name)[0] || null;
+}
+
+// Whether a run property such as <w:b/> is switched on
+function isDocxToggleOn(properties, name) {
+    const element = properties && xmlChild(properties, name);
+    if (!element) return false;
+    const value = element.getAttribute('w:val');
+    return value === null || !['0', 'false', 'none'].includes(value);
+}
+
+// Convert a DOCX file into basic HTML built from DOM nodes: paragraphs,
+// headings, (nested) lists, tables, bold/italic/underline runs and embedded
+// images. createURL turns an image Blob into a URL the caller will revoke.
+async function renderDocx(buffer, createURL) {
+    const archive = await unzip(buffer, name => name.startsWith('word/'));
+    const parse = (name) => archive.has(name)
+        ? new DOMParser().parseFromString(new TextDecoder().decode(archive.get(name)), 'application/xml')
+        : null;
+
+    const doc = parse('word/document.xml');
+    if (!doc) {
+        throw new Error('word/document.xml is missing');
+    }
+    const styles = parse('word/styles.xml');
+    const numbering = parse('word/numbering.xml');
+    const rels = parse('word/_rels/document.xml.rels');
+
+    // Heading level per paragraph style id, from the style names ("heading 1", "Title")
+    const headingLevels = new Map();
+    if (styles) {
+        Array.from(styles.getElementsByTagName('w:style')).forEach(style => {
+            const nameEl = style.getElementsByTagName('w:name')[0];
+            const name = nameEl ? (nameEl.getAttribute('w:val') || '').toLowerCase() : '';
+            const heading = name.match(/^heading (\d)$/);
+            if (heading) headingLevels.set(style.getAttribute('w:styleId'), parseInt(heading[1]));
+            else if (name === 'title') headingLevels.set(style.getAttribute('w:styleId'), 1);
+        });
+    }
+
+    // Whether a list (numId) level is bulleted, via its abstract numbering definition
+    const isBulletList = (numId, level) => {
+        if (!numbering) return true;
+        const num = Array.from(numbering.getElementsByTagName('w:num')).find(el => el.getAttribute('w:numId') === numId);
+        const abstractRef = num && num.getElementsByTagName('w:abstractNumId')[0];
+        const abstractId = abstractRef && abstractRef.getAttribute('w:val');
+        const abstract = Array.from(numbering.getElementsByTagName('w:abstractNum'))
+            .find(el => el.getAttribute('w:abstractNumId') === abstractId);
+        const lvl = abstract && Array.from(abstract.getElementsByTagName('w:lvl')).find(el => el.getAttribute('w:ilvl') === String(level));
+        const format = lvl && lvl.getElementsByTagName('w:numFmt')[0];
+        return !format || ['bullet', 'none'].includes(format.getAttribute('w:val'));
+    };
+
+    const relTargets = new Map();
+    if (rels) {
+        Array.from(rels.getElementsByTagName('Relationship')).forEach(rel => {
+            relTargets.set(rel.getAttribute('Id'), rel.getAttribute('Target'));
+        });
+    }
+    const imageTypes = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', bmp: 'image/bmp', webp: 'image/webp' };
+
+    const renderImage = (blip) => {
+        const target = relTargets.get(blip.getAttribute('r:embed'));
+        if (!target) return null;
+        const path = target.startsWith('/') ? target.slice(1) : `word/${target}`;
+        const type = imageTypes[path.split('.').pop().toLowerCase()];
+        if (!type || !archive.has(path)) return null;
+        const img = document.createElement('img');
+        img.src = safeURL(createURL(new Blob([archive.get(path)], { type })));
+        img.className = 'img-fluid';
+        img.alt = '';
+        return img;
+    };
+
+    const renderRun = (run, parent) => {
+        const properties = xmlChild(run, 'w:rPr');
+        let target = parent;
+        [['w:b', 'strong'], ['w:i', 'em'], ['w:u', 'u']].forEach(([property, tag]) => {
+            if (isDocxToggleOn(properties, property)) {
+                const wrapper = document.createElement(tag);
+                target.appendChild(wrapper);
+                target = wrapper;
+            }
+        });
+
+        Array.from(run.children).forEach(child => {
+            if (child.nodeName === 'w:t') {
+                target.appendChild(document.createTextNode(child.textContent));
+            } else if (child.nodeName === 'w:tab') {
+                target.appendChild(document.createTextNode('\t'));
+            } else if (child.nodeName === 'w:br' || child.nodeName === 'w:cr') {
+                target.appendChild(document.createElement('br'));
+            } else if (child.nodeName === 'w:drawing' || child.nodeName === 'w:pict') {
+                Array.from(child.getElementsByTagName('a:blip')).forEach(blip => {
+                    const img = renderImage(blip);
+                    if (img) target.appendChild(img);
+                });
+            }
+        });
+    };
+
+    const renderParagraphContent = (paragraph, element) => {
+        Array.from(paragraph.getElementsByTagName('w:r')).forEach(run => renderRun(run, element));
+        return element;
+    };
+
+    const renderTable = (table) => {
+        const tableEl = document.createElement('table');
+        tableEl.className = 'table table-bordered table-sm';
+        const tbody = document.createElement('tbody');
+        xmlChildren(table, 'w:tr').forEach(row => {
+            const tr = document.createElement('tr');
+            xmlChildren(row, 'w:tc').forEach(cell => {
+                const td = document.createElement('td');
+                const gridSpan = cell.getElementsByTagName('w:gridSpan')[0];
+                if (gridSpan) td.colSpan = parseInt(gridSpan.getAttribute('w:val')) || 1;
+                Array.from(cell.children).forEach(child => {
+                    if (child.nodeName === 'w:p') td.appendChild(renderParagraphContent(child, document.createElement('p')));
+                    else if (child.nodeName === 'w:tbl') td.appendChild(renderTable(child));
+                });
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        tableEl.appendChild(tbody);
+        return tableEl;
+    };
+
+    const container = document.createElement('div');
+    container.className = 'docx-preview';
+    // Open lists as { level, numId, element }, innermost last
+    let lists = [];
+
+    const body = doc.getElementsByTagName('w:body')[0];
+    Array.from(body ? body.children : []).forEach(node => {
+        if (node.nodeName === 'w:tbl') {
+            lists = [];
+            container.appendChild(renderTable(node));
+            return;
+        }
+        if (node.nodeName !== 'w:p') return;
+
+        const properties = xmlChild(node, 'w:pPr');
+        const numPr = properties && xmlChild(properties, 'w:numPr');
+        const numIdEl = numPr && xmlChild(numPr, 'w:numId');
+        const numId = numIdEl && numIdEl.getAttribute('w:val');
+
+        if (numId && numId !== '0') {
+            const levelEl = xmlChild(numPr, 'w:ilvl');
+            const level = levelEl ? parseInt(levelEl.getAttribute('w:val')) || 0 : 0;
+
+            while (lists.length > 0 && (lists[lists.length - 1].level > level ||
+                (lists[lists.length - 1].level === level && lists[lists.length - 1].numId !== numId))) {
+                lists.pop();
+            }
+            if (lists.length === 0 || lists[lists.length - 1].level < level) {
+                const list = document.createElement(isBulletList(numId, level) ? 'ul' : 'ol');
+                const parentList = lists[lists.length - 1];
+                const parentItem = parentList && parentList.element.lastElementChild;
+                (parentItem || container).appendChild(list);
+                lists.push({ level, numId, element: list });
+            }
+            lists[lists.length - 1].element.appendChild(renderParagraphContent(node, document.createElement('li')));
+            return;
+        }
+
+        lists = [];
+        const styleEl = properties && xmlChild(properties, 'w:pStyle');
+        const headingLevel = styleEl && (headingLevels.get(styleEl.getAttribute('w:val')) ||
+            parseInt((styleEl.getAttribute('w:val').match(/^heading(\d)$/i) || [])[1]));
+        const element = document.createElement(headingLevel ? `h${Math.min(headingLevel, 6)}` : 'p');
+        container.appendChild(renderParagraphContent(node, element));
+    });
+
+    return container;
+}
+
+function decodePdfHexString(hex) {
+    const clean = hex.replace(/\s/g, '');
+    const bytes = [];
+    for (let i = 0; i < clean.length; i += 2) {
+        bytes.push(parseInt(clean.substr(i, 2).padEnd(2, '0'), 16));
+    }
+
+    // UTF-16BE, either marked with a BOM or with every high byte zero
+    const isUTF16 = (bytes[0] === 0xfe && bytes[1] === 0xff) ||
+        (bytes.length % 2 === 0 && bytes.length > 0 && bytes.every((byte, i) => i % 2 === 1 || byte === 0));
+    if (isUTF16) {
+        let text = '';
+        for (let i = bytes[0] === 0xfe ? 2 : 0; i + 1 < bytes.length; i += 2) {
+            text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+        }
+        return text;
+    }
+    return String.fromCharCode(...bytes);
+}
+
+// Tokenize a content stream and call onOperator(operator, operands) for each
+// operator. Strings come out decoded, arrays as arrays and names as { name }.
+function walkPdfContent(content, onOperator) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let operands = [];
+    let i = 0;
+
+    while (i < content.length) {
+        const char = content[i];
+
+        if (char === '(') {
+            let value = '';
+            let depth = 1;
+            i++;
+            while (i < content.length && depth > 0) {
+                const c = content[i];
+                if (c === '\\') {
+                    const next = content[i + 1];
+                    if (/[0-7]/.test(next)) {
+                        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+                        value += String.fromCharCode(parseInt(octal, 8));
+                        i += 1 + octal.length;
+                        continue;
+                    }
+                    if (next === '\r' || next === '\n') {
+                        i += content[i + 2] === '\n' && next === '\r' ? 3 : 2;
+                        continue;
+                    }
+                    value += escapes[next] || next;
+                    i += 2;
+                    continue;
+                }
+                if (c === '(') depth++;
+                if (c === ')') depth--;
+                if (depth > 0) value += c;
+                i++;
+            }
+            operands.push(value);
+        } else if ((char === '<' && content[i + 1] === '<') || (char === '>' && content[i + 1] === '>')) {
+            // Inline dictionaries (marked content properties) are skipped
+            i += 2;
+        } else if (char === '<') {
+            const end = content.indexOf('>', i);
+            if (end === -1) break;
+            operands.push(decodePdfHexString(content.slice(i + 1, end)));
+            i = end + 1;
+        } else if (char === '/') {
+            const name = content.slice(i + 1).match(/^[^\s/<>[\]()%{}]*/)[0];
+            operands.push({ name });
+            i += 1 + name.length;
+        } else if (char === '[') {
+            operands.push('[');
+            i++;
+        } else if (char === ']') {
+            const start = operands.lastIndexOf('[');
+            operands = operands.slice(0, start).concat([operands.slice(start + 1)]);
+            i++;
+        } else if (char === '%') {
+            while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+        } else if (/[-+.\d]/.test(char)) {
+            const number = content.slice(i).match(/^[-+]?\d*\.?\d+/);
+            if (number) {
+                operands.push(parseFloat(number[0]));
+                i += number[0].length;
+            } else {
+                i++;
+            }
+        } else if (/[A-Za-z'"*]/.test(char)) {
+            const operator = content.slice(i).match(/^[A-Za-z'"*]+/)[0];
+            i += operator.length;
+            onOperator(operator, operands);
+            operands = [];
+        } else {
+            i++;
+        }
+    }
+}
+
+// Walk a content stream and collect the operands of the text showing operators
+function parsePdfTextOperators(content) {
+    let text = '';
+
+    const newline = () => {
+        if (text && !text.endsWith('\n')) text += '\n';
+    };
+
+    walkPdfContent(content, (operator, operands) => {
+        if (operator === 'Tj') {
+            text += operands.filter(op => typeof op === 'string').pop() || '';
+        } else if (operator === "'" || operator === '"') {
+            newline();
+            text += operands.filter(op => typeof op === 'string').pop() || '';
+        } else if (operator === 'TJ') {
+            const parts = operands.filter(Array.isArray).pop() || [];
+            parts.forEach(part => {
+                // Large negative adjustments are word gaps
+                if (typeof part === 'number' && part < -200) text += ' ';
+                else if (typeof part === 'string') text += part;
+            });
+        } else if (operator === 'T*' || operator === 'ET') {
+            newline();
+        } else if (operator === 'Td' || operator === 'TD') {
+            if (operands[operands.length - 1]) newline();
+            else if (text && !/\s$/.test(text)) text += ' ';
+        }
+    });
+
+    return text;
+}
+
+// Objects of a PDF by number, as offsets into the file. Later definitions
+// replace earlier ones, as in incrementally updated files. Objects packed in
+// compressed object streams are not found.
+function parsePdfObjects(raw) {
+    const objects = new Map();
+    const pattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(raw))) {
+        const start = match.index + match[0].length;
+        const end = raw.indexOf('endobj', start);
+        if (end === -1) break;
+        objects.set(parseInt(match[1]), { start, end, body: raw.slice(start, end) });
+        pattern.lastIndex = end;
+    }
+    return objects;
+}
+
+function getPdfRef(body, key) {
+    const match = body.match(new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`));
+    return match ? parseInt(match[1]) : null;
+}
+
+// The dictionary text of a key that is either inline (<< ... >>) or a reference
+function getPdfDict(body, key, objects) {
+    const ref = getPdfRef(body, key);
+    if (ref !== null) {
+        return objects.has(ref) ? objects.get(ref).body : '';
+    }
+    const start = body.search(new RegExp(`/${key}\\s*<<`));
+    if (start === -1) return '';
+
+    let depth = 0;
+    for (let i = body.indexOf('<<', start); i < body.length; i++) {
+        if (body.startsWith('<<', i)) {
+            depth++;
+            i++;
+        } else if (body.startsWith('>>', i)) {
+            depth--;
+            i++;
+            if (depth === 0) return body.slice(start, i + 1);
+        }
+    }
+    return '';
+}
+
+// The first page's dictionary with its media box and resources, which may be
+// inherited from the page tree above it
+function findPdfFirstPage(raw, objects) {
+    const roots = raw.match(/\/Root\s+\d+\s+\d+\s+R/g);
+    const catalog = roots ? objects.get(getPdfRef(roots[roots.length - 1], 'Root')) : null;
+    let node = catalog ? objects.get(getPdfRef(catalog.body, 'Pages')) : null;
+    const ancestors = [];
+
+    for (let depth = 0; node && depth < 32; depth++) {
+        if (/\/Type\s*\/Page(?![a-zA-Z])/.test(node.body)) break;
+        ancestors.unshift(node);
+        const kid = node.body.match(/\/Kids\s*\[\s*(\d+)\s+\d+\s+R/);
+        node = kid ? objects.get(parseInt(kid[1])) : null;
+    }
+    if (!node || !/\/Type\s*\/Page(?![a-zA-Z])/.test(node.body)) {
+        node = Array.from(objects.values()).find(object => /\/Type\s*\/Page(?![a-zA-Z])/.test(object.body));
+    }
+    if (!node) return null;
+
+    const inherited = (read) => [node, ...ancestors].map(read).find(value => value) || null;
+    const mediaBox = inherited(object => {
+        const match = object.body.match(/\/MediaBox\s*\[([^\]]*)\]/);
+        return match ? match[1].trim().split(/\s+/).map(Number) : null;
+    });
+    const resources = inherited(object => getPdfDict(object.body, 'Resources', objects));
+
+    let contents = [];
+    const contentsArray = node.body.match(/\/Contents\s*\[([^\]]*)\]/);
+    if (contentsArray) {
+        contents = Array.from(contentsArray[1].matchAll(/(\d+)\s+\d+\s+R/g), match => parseInt(match[1]));
+    } else if (getPdfRef(node.body, 'Contents') !== null) {
+        contents = [getPdfRef(node.body, 'Contents')];
+    }
+
+    return {
+        mediaBox: mediaBox && mediaBox.length === 4 && mediaBox.every(isFinite) ? mediaBox : [0, 0, 612, 792],
+        resources: resources || '',
+        contents
+    };
+}
+
+// The dictionary and raw data of a stream object
+function readPdfStream(bytes, object) {
+    const match = object.body.match(/stream\r?\n/);
+    if (!match) return null;
+    const start = object.start + match.index + match[0].length;
+    const end = bytesToLatin1(bytes.subarray(start, object.end)).lastIndexOf('endstream');
+    return { dict: object.body.slice(0, match.index), data: bytes.subarray(start, start + Math.max(0, end)) };
+}
+
+// Product of two PDF transformation matrices [a b c d e f]
+function multiplyPdfMatrix(m, n) {
+    return [
+        m[0] * n[0] + m[1] * n[2], m[0] * n[1] + m[1] * n[3],
+        m[2] * n[0] + m[3] * n[2], m[2] * n[1] + m[3] * n[3],
+        m[4] * n[0] + m[5] * n[2] + n[4], m[4] * n[1] + m[5] * n[3] + n[5]
+    ];
+}
+
+// What the first page draws: text runs with their position and size, and
+// image XObjects with the matrix that places them. Fonts are not read, so
+// text widths are estimated.
+function layoutPdfPage(content) {
+    const identity = [1, 0, 0, 1, 0, 0];
+    const items = [];
+    const stack = [];
+    let state = { ctm: identity, fontSize: 0, leading: 0, scale: 1 };
+    let tm = identity;
+    let tlm = identity;
+
+    const moveLine = (tx, ty) => {
+        tlm = multiplyPdfMatrix([1, 0, 0, 1, tx, ty], tlm);
+        tm = tlm;
+    };
+    const show = (text) => {
+        const m = multiplyPdfMatrix(tm, state.ctm);
+        const size = state.fontSize * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+        if (text.trim()) items.push({ type: 'text', text, x: m[4], y: m[5], size });
+        tm = multiplyPdfMatrix([1, 0, 0, 1, text.length * state.fontSize * 0.5 * state.scale, 0], tm);
+    };
+
+    walkPdfContent(content, (operator, operands) => {
+        const numbers = operands.filter(operand => typeof operand === 'number');
+        switch (operator) {
+            case 'q':
+                stack.push({ ...state });
+                break;
+            case 'Q':
+                if (stack.length > 0) state = stack.pop();
+                break;
+            case 'cm':
+                if (numbers.length === 6) state.ctm = multiplyPdfMatrix(numbers, state.ctm);
+                break;
+            case 'BT':
+                tm = identity;
+                tlm = identity;
+                break;
+            case 'Tf':
+                state.fontSize = numbers[numbers.length - 1] || 0;
+                break;
+            case 'TL':
+                state.leading = numbers[0] || 0;
+                break;
+            case 'Tz':
+                state.scale = (numbers[0] || 100) / 100;
+                break;
+            case 'Td':
+                moveLine(numbers[0] || 0, numbers[1] || 0);
+                break;
+            case 'TD':
+                state.leading = -(numbers[1] || 0);
+                moveLine(numbers[0] || 0, numbers[1] || 0);
+                break;
+            case 'Tm':
+                if (numbers.length === 6) {
+                    tlm = numbers;
+                    tm = numbers;
+                }
+                break;
+            case 'T*':
+                moveLine(0, -state.leading);
+                break;
+            case "'":
+            case '"':
+                moveLine(0, -state.leading);
+                show(operands.filter(operand => typeof operand === 'string').pop() || '');
+                break;
+            case 'Tj':
+                show(operands.filter(operand => typeof operand === 'string').pop() || '');
+                break;
+            case 'TJ':
+                (operands.filter(Array.isArray).pop() || []).forEach(part => {
+                    if (typeof part === 'string') {
+                        show(part);
+                    } else if (typeof part === 'number') {
+                        tm = multiplyPdfMatrix([1, 0, 0, 1, -part / 1000 * state.fontSize * state.scale, 0], tm);
+                    }
+                });
+                break;
+            case 'Do': {
+                const name = operands.find(operand => operand && operand.name);
+                if (name) items.push({ type: 'image', name: name.name, matrix: state.ctm });
+                break;
+            }
+        }
+    });
+
+    return items;
+}
+
+// Thumbnails are JPEGs no larger than this on their longer side
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_QUALITY = 0.8;
+
+// A white canvas (JPEG has no transparency) scaled down to thumbnail size
+function createThumbnailCanvas(width, height) {
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    return { canvas, context, scale };
+}
+
+function canvasToJPEG(canvas, quality = THUMBNAIL_QUALITY) {
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+}
+
+async function createImageThumbnail(blob) {
+    const bitmap = await createImageBitmap(blob);
+    try {
+        const { canvas, context } = createThumbnailCanvas(bitmap.width, bitmap.height);
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        return await canvasToJPEG(canvas);
+    } finally {
+        bitmap.close();
+    }
+}
+
+// Grab a frame a little way in; the very first frame is often black
+function createVideoThumbnail(blob) {
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        const url = URL.createObjectURL(blob);
+        let timer = null;
+        const finish = (error, thumbnail) => {
+            clearTimeout(timer);
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+            if (error) reject(error);
+            else resolve(thumbnail);
+        };
+        timer = setTimeout(() => finish(new Error('Timed out reading the video')), 15000);
+
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        const draw = () => {
+            const { canvas, context } = createThumbnailCanvas(video.videoWidth, video.videoHeight);
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            canvasToJPEG(canvas).then(thumbnail => finish(null, thumbnail), finish);
+        };
+        video.addEventListener('loadedmetadata', () => {
+            const target = Math.min(1, (video.duration || 0) / 4);
+            // Seeking to where the video already is fires no seeked event
+            if (target > video.currentTime) {
+                video.addEventListener('seeked', draw, { once: true });
+                video.currentTime = target;
+            } else if (video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+                draw();
+            } else {
+                video.addEventListener('loadeddata', draw, { once: true });
+            }
+        });
+        video.addEventListener('error', () => finish(new Error('The video could not be decoded')));
+        video.src = url;
+    });
+}
+
+// Render the first page of a PDF: its text in place and any JPEG images.
+// Vector graphics and other image encodings are left out, which is enough to
+// recognise a page at thumbnail size. null when the page draws nothing we can show.
+async function createPdfThumbnail(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const raw = bytesToLatin1(bytes);
+    const objects = parsePdfObjects(raw);
+    const page = findPdfFirstPage(raw, objects);
+    if (!page) return null;
+
+    const chunks = [];
+    for (const ref of page.contents) {
+        const stream = objects.has(ref) ? readPdfStream(bytes, objects.get(ref)) : null;
+        if (!stream) continue;
+        if (/\/FlateDecode/.test(stream.dict)) {
+            chunks.push(bytesToLatin1(await inflate(stream.data, 'deflate')));
+        } else if (!/\/Filter/.test(stream.dict)) {
+            chunks.push(bytesToLatin1(stream.data));
+        }
+    }
+    const items = layoutPdfPage(chunks.join('\n'));
+
+    // Decode the JPEG images first, since drawing has to keep the page order
+    const xObjects = getPdfDict(page.resources, 'XObject', objects);
+    const bitmaps = new Map();
+    for (const item of items.filter(item => item.type === 'image')) {
+        const ref = getPdfRef(xObjects, escapeRegExp(item.name));
+        const stream = ref !== null && objects.has(ref) ? readPdfStream(bytes, objects.get(ref)) : null;
+        if (!stream || bitmaps.has(item.name) || !/\/Subtype\s*\/Image/.test(stream.dict) || !/\/DCTDecode/.test(stream.dict)) continue;
+        try {
+            bitmaps.set(item.name, await createImageBitmap(new Blob([stream.data], { type: 'image/jpeg' })));
+        } catch (error) {
+            // Leave out images the browser cannot decode
+        }
+    }
+
+    const drawn = items.filter(item => item.type === 'text' || bitmaps.has(item.name));
+    if (drawn.length === 0) return null;
+
+    const [x0, y0, x1, y1] = page.mediaBox;
+    const { canvas, context, scale } = createThumbnailCanvas(Math.abs(x1 - x0), Math.abs(y1 - y0));
+    context.fillStyle = '#333333';
+    context.textBaseline = 'alphabetic';
+    drawn.forEach(item => {
+        if (item.type === 'text') {
+            // PDF coordinates start at the bottom-left corner
+            context.font = `${Math.max(1, item.size * scale)}px sans-serif`;
+            context.fillText(item.text, (item.x - x0) * scale, (y1 - item.y) * scale);
+        } else {
+            // The image fills the unit square of its matrix; flip rows to canvas order
+            const [a, b, c, d, e, f] = item.matrix;
+            const bitmap = bitmaps.get(item.name);
+            context.setTransform(
+                scale * a / bitmap.width, -scale * b / bitmap.width,
+                -scale * c / bitmap.height, scale * d / bitmap.height,
+                scale * (c + e - x0), scale * (y1 - d - f)
+            );
+            context.drawImage(bitmap, 0, 0);
+            context.setTransform(1, 0, 0, 1, 0, 0);
+        }
+    });
+    bitmaps.forEach(bitmap => bitmap.close());
+
+    return canvasToJPEG(canvas);
+}
+
+// A small JPEG for the entry list, or null for file types without one
+async function createThumbnail(file, { type, fileType }) {
+    if (type === 'image') return createImageThumbnail(file);
+    if (type === 'video') return createVideoThumbnail(file);
+    if (fileType === 'pdf') return createPdfThumbnail(await file.arrayBuffer());
+    return null;
+}
+
+// Line diff of two texts as a list of { type: 'same' | 'added' | 'removed', line }
+function diffLines(oldText, newText) {
+    const a = oldText.split(/\r?\n/);
+    const b = newText.split(/\r?\n/);
+
+    // Only the changed middle part goes through the LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const result = a.slice(0, start).map(line => ({ type: 'same', line }));
+
+    if (midA.length * midB.length > 4000000) {
+        // Too large to align line by line; show it as a full replacement
+        midA.forEach(line => result.push({ type: 'removed', line }));
+        midB.forEach(line => result.push({ type: 'added', line }));
+    } else {
+        const table = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                table[i][j] = midA[i] === midB[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                result.push({ type: 'same', line: midA[i] });
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                result.push({ type: 'removed', line: midA[i++] });
+            } else {
+                result.push({ type: 'added', line: midB[j++] });
+            }
+        }
+        while (i < midA.length) result.push({ type: 'removed', line: midA[i++] });
+        while (j < midB.length) result.push({ type: 'added', line: midB[j++] });
+    }
+
+    a.slice(endA).forEach(line => result.push({ type: 'same', line }));
+    return result;
+}
+
+async function extractText(file, fileType) {
+    if (fileType === 'txt' || fileType === 'csv') {
+        return await file.text();
+    }
+    if (fileType === 'xlsx') {
+        const sheets = await readXlsx(await file.arrayBuffer());
+        return sheets.map(sheet => [sheet.name, ...sheet.rows.map(row => row.join('\t'))].join('\n')).join('\n');
+    }
+    if (fileType === 'pptx') {
+        const slides = await readPptxSlides(await file.arrayBuffer());
+        return slides.map(paragraphs => paragraphs.join('\n')).join('\n');
+    }
+    if (fileType === 'docx') {
+        return await extractDocxText(await file.arrayBuffer());
+    }
+    if (fileType === 'pdf') {
+        return await extractPdfText(await file.arrayBuffer());
+    }
+    return '';
+}
+
+// Lowercase words of two or more letters or digits
+function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(token => token.length > 1);
+}
+
+function countTerms(text) {
+    const counts = new Map();
+    tokenize(text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    return counts;
+}
+
+// HTML excerpt of text around the first match, with every token occurrence wrapped in <mark>
+function buildSnippet(text, tokens, radius = 80) {
+    const lower = text.toLowerCase();
+    let position = -1;
+    tokens.forEach(token => {
+        const index = lower.indexOf(token);
+        if (index !== -1 && (position === -1 || index < position)) position = index;
+    });
+    if (position === -1) return '';
+
+    const start = Math.max(0, position - radius);
+    const end = Math.min(text.length, position + radius);
+    const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+    const pattern = new RegExp(`(${tokens.map(escapeRegExp).join('|')})`, 'gi');
+    const highlighted = excerpt.split(pattern)
+        .map((part, i) => i % 2 === 1 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part))
+        .join('');
+
+    return `${start > 0 ? '&hellip;' : ''}${highlighted}${end < text.length ? '&hellip;' : ''}`;
+}
+
+// Zoom an image inside stage with the mouse wheel, a double click or the
+// returned zoomBy(), and pan it by dragging while zoomed in
+function attachZoomPan(stage, image) {
+    let scale = 1;
+    let x = 0;
+    let y = 0;
+    let drag = null;
+
+    const apply = () => {
+        // Never drag the image further than its edges
+        const maxX = Math.max(0, (image.offsetWidth * scale - stage.clientWidth) / 2);
+        const maxY = Math.max(0, (image.offsetHeight * scale - stage.clientHeight) / 2);
+        x = Math.min(maxX, Math.max(-maxX, x));
+        y = Math.min(maxY, Math.max(-maxY, y));
+        image.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+        stage.classList.toggle('zoomed', scale > 1);
+    };
+
+    // Keeps the point under (clientX, clientY) where it is; the image is centered in stage
+    const zoomTo = (next, clientX, clientY) => {
+        const rect = stage.getBoundingClientRect();
+        const pointX = clientX - rect.left - rect.width / 2;
+        const pointY = clientY - rect.top - rect.height / 2;
+        next = Math.min(MAX_ZOOM, Math.max(1, next));
+        x = pointX - (pointX - x) * next / scale;
+        y = pointY - (pointY - y) * next / scale;
+        scale = next;
+        apply();
+    };
+    const zoomAtCenter = (next) => {
+        const rect = stage.getBoundingClientRect();
+        zoomTo(next, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    };
+
+    stage.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        zoomTo(scale * (e.deltaY < 0 ? 1.25 : 0.8), e.clientX, e.clientY);
+    }, { passive: false });
+    stage.addEventListener('dblclick', (e) => zoomTo(scale > 1 ? 1 : 2.5, e.clientX, e.clientY));
+    stage.addEventListener('pointerdown', (e) => {
+        if (scale === 1) return;
+        drag = { startX: e.clientX - x, startY: e.clientY - y };
+        stage.setPointerCapture(e.pointerId);
+    });
+    stage.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        x = e.clientX - drag.startX;
+        y = e.clientY - drag.startY;
+        apply();
+    });
+    ['pointerup', 'pointercancel'].forEach(type => stage.addEventListener(type, () => { drag = null; }));
+
+    return {
+        zoomBy: (factor) => zoomAtCenter(scale * factor),
+        reset: () => zoomAtCenter(1)
+    };
+}
+
+// Photos taken in the upload form are JPEGs at this quality unless the slider
+// says otherwise, and never below the lowest one when shrunk to fit the size limit
+const CAPTURE_QUALITY = 0.85;
+const CAPTURE_MIN_QUALITY = 0.4;
+// Wait this long after an edit before encoding the photo again
+const CAPTURE_UPDATE_DELAY = 300;
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+}
+
+// The canvas turned by a quarter turn clockwise (1) or counterclockwise (-1)
+function rotateCanvas(source, quarterTurns) {
+    const canvas = createCanvas(source.height, source.width);
+    const context = canvas.getContext('2d');
+    context.translate(canvas.width / 2, canvas.height / 2);
+    context.rotate(quarterTurns * Math.PI / 2);
+    context.drawImage(source, -source.width / 2, -source.height / 2);
+    return canvas;
+}
+
+function cropCanvas(source, { x, y, width, height }) {
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(source, x, y, width, height, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+function scaleCanvas(source, scale) {
+    const canvas = createCanvas(source.width * scale, source.height * scale);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+// Solve a linear system by Gaussian elimination with partial pivoting
+function solveLinear(matrix, values) {
+    const n = values.length;
+    const rows = matrix.map((row, i) => [...row, values[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        if (Math.abs(rows[col][col]) < 1e-12) {
+            throw new Error('The corners do not make a four-sided shape');
+        }
+        for (let row = col + 1; row < n; row++) {
+            const factor = rows[row][col] / rows[col][col];
+            for (let k = col; k <= n; k++) rows[row][k] -= factor * rows[col][k];
+        }
+    }
+    const result = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = rows[row][n];
+        for (let k = row + 1; k < n; k++) sum -= rows[row][k] * result[k];
+        result[row] = sum / rows[row][row];
+    }
+    return result;
+}
+
+// The projective transform taking each of the points in from to the one in to
+function getHomography(from, to) {
+    const matrix = [];
+    const values = [];
+    from.forEach(({ x, y }, i) => {
+        const { x: u, y: v } = to[i];
+        matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+        matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+        values.push(u, v);
+    });
+    return solveLinear(matrix, values);
+}
+
+// Straighten the area within four corners (top left, top right, bottom
+// right, bottom left) into a rectangle, sampling the source bilinearly
+function warpPerspective(source, corners) {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+    const width = Math.round(Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight)));
+    const height = Math.round(Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight)));
+    const canvas = createCanvas(width, height);
+    const rectangle = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+    const [a, b, c, d, e, f, g, h] = getHomography(rectangle, corners);
+
+    const input = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+    const output = canvas.getContext('2d').createImageData(canvas.width, canvas.height);
+    const { data: src } = input;
+    const { data: dst } = output;
+    const maxX = source.width - 1;
+    const maxY = source.height - 1;
+
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            const w = g * x + h * y + 1;
+            const sx = Math.min(maxX, Math.max(0, (a * x + b * y + c) / w));
+            const sy = Math.min(maxY, Math.max(0, (d * x + e * y + f) / w));
+            const x0 = Math.floor(sx);
+            const y0 = Math.floor(sy);
+            const x1 = Math.min(maxX, x0 + 1);
+            const y1 = Math.min(maxY, y0 + 1);
+            const fx = sx - x0;
+            const fy = sy - y0;
+            const i00 = (y0 * source.width + x0) * 4;
+            const i10 = (y0 * source.width + x1) * 4;
+            const i01 = (y1 * source.width + x0) * 4;
+            const i11 = (y1 * source.width + x1) * 4;
+            const out = (y * canvas.width + x) * 4;
+            for (let channel = 0; channel < 4; channel++) {
+                const top = src[i00 + channel] + (src[i10 + channel] - src[i00 + channel]) * fx;
+                const bottom = src[i01 + channel] + (src[i11 + channel] - src[i01 + channel]) * fx;
+                dst[out + channel] = top + (bottom - top) * fy;
+            }
+        }
+    }
+    canvas.getContext('2d').putImageData(output, 0, 0);
+    return canvas;
+}
+
+function grayscaleCanvas(canvas) {
+    const context = canvas.getContext('2d');
+    const image = context.getImageData(0, 0, canvas.width, canvas.height);
+    const { data } = image;
+    for (let i = 0; i < data.length; i += 4) {
+        const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        data[i] = data[i + 1] = data[i + 2] = luma;
+    }
+    context.putImageData(image, 0, 0);
+    return canvas;
+}
+
+// A JPEG of the canvas no larger than maxSize: at the given quality if it
+// fits, else at lower qualities down to CAPTURE_MIN_QUALITY, then smaller
+async function compressToFit(source, quality, maxSize) {
+    let canvas = source;
+    let current = quality;
+    for (;;) {
+        const blob = await canvasToJPEG(canvas, current);
+        if (blob.size <= maxSize) {
+            return { blob, quality: current, width: canvas.width, height: canvas.height };
+        }
+        if (current > CAPTURE_MIN_QUALITY) {
+            current = Math.max(CAPTURE_MIN_QUALITY, current - 0.1);
+        } else if (canvas.width > 1 || canvas.height > 1) {
+            canvas = scaleCanvas(canvas, Math.sqrt(maxSize / blob.size) * 0.9);
+        } else {
+            throw new Error('The photo cannot be made small enough');
+        }
+    }
+}
+
 class DocumentManager {
     constructor() {
-        this.db = null;
+        this.storage = null;
         this.currentDate = new Date();
+        // First day of the month the calendar shows, which the arrows change
+        // without moving the selected date
+        this.calendarMonth = new Date(this.currentDate.getFullYear(), this.currentDate.getMonth(), 1);
+        this.dateRange = 'day';
+        this.showAllDates = false;
+        this.calendarRenderId = 0;
         this.currentEntryId = null;
-        this.initDB().then(() => {
+        this.previewURLs = [];
+        // Object URLs of loaded thumbnails by entry id, reused when a row is rendered again
+        this.thumbnailURLs = new Map();
+        this.thumbnailObserver = null;
+        this.thumbnailQueue = Promise.resolve();
+        this.loadRequestId = 0;
+        this.listState = null;
+        this.searchTimer = null;
+        // Ids of the entries checked for a bulk action, and the index in
+        // listState.entries a shift-click extends the selection from
+        this.selectedIds = new Set();
+        this.selectionAnchor = null;
+        // Lightbox: the previewed entry, its image zoom and the slideshow
+        this.previewEntryId = null;
+        this.isPreviewLoading = false;
+        this.previewZoom = null;
+        this.slideshow = false;
+        this.slideshowTimer = null;
+        this.uploadQueue = [];
+        this.isUploading = false;
+        // Camera capture in the upload form: the stream, the photo being edited
+        // (canvas, corners in its pixels, 'crop' or 'straighten') and its JPEG
+        this.capture = { stream: null, facingMode: 'environment', canvas: null, corners: [], mode: 'crop', drag: null, result: null, outputTimer: null, renderId: 0, cameraRequestId: 0 };
+        // Shared by startup and the duplicate finder so entries are hashed once
+        this.hashingEntries = null;
+        this.textPreviewOptions = { monospace: true, wrap: true };
+        // Tags are matched without regard to case; keys are lowercased names
+        this.tagStats = new Map();
+        this.selectedTags = new Set();
+        this.tagMatchMode = 'or';
+        // Values in use per custom text field: field id -> Map of lowercased value -> spelling
+        this.fieldValues = new Map();
+        this.settings = this.loadSettings();
+        this.sync = new SyncEngine(this);
+        this.vault = new Vault(this);
+        // Timestamp of the last input, for locking the vault when idle
+        this.lastActivity = Date.now();
+        this.initStorage().then(() => this.unlockVault()).then(() => {
             this.initUI();
+            this.initVault();
+            this.sync.start();
+            this.loadEntries();
+            this.loadTags();
+            this.indexPendingEntries();
+            this.hashPendingEntries();
+            this.purgeExpiredTrash();
+            setInterval(() => this.purgeExpiredTrash(), 60 * 60 * 1000);
+            this.initServiceWorker().then(() => this.initReminders());
+        });
+    }
+
+    // Open the backend chosen in settings; ?storage=indexeddb|memory|rest in the
+    // page URL overrides it for a single visit. The server address only comes
+    // from settings, so a link cannot send the token somewhere else.
+    async initStorage() {
+        const params = new URLSearchParams(window.location.search);
+        const type = params.get('storage') || this.settings.storageAdapter;
+
+        this.storage = createStorageAdapter(type, { url: this.settings.restStorageUrl, token: this.settings.restStorageToken });
+        try {
+            await this.storage.open();
+            if (this.storage instanceof MemoryAdapter) {
+                this.showToast('Warning', 'Using in-memory storage: files are lost when the page is closed', 'warning');
+            }
+        } catch (error) {
+            console.error('Error opening storage:', error);
+            this.showToast('Error', `Could not open ${this.storage.label}. Files are kept in memory until the page is closed.`, 'danger');
+            this.storage = new MemoryAdapter();
+            await this.storage.open();
+            await this.importLegacyLocalStorage();
+        }
+    }
+
+    // Entries saved by the old localStorage fallback are loaded into the
+    // in-memory store so they can still be viewed and exported
+    async importLegacyLocalStorage() {
+        const entries = this.getLocalStore(STORE_NAME, []);
+        const files = this.getLocalStore(FILES_STORE, {});
+
+        for (const { fileData, ...entry } of entries) {
+            const dataURL = fileData || files[entry.id];
+            if (!dataURL) continue;
+            try {
+                const file = dataURLToBlob(dataURL);
+                await this.addEntry({
+                    createdAt: entry.date,
+                    updatedAt: entry.date,
+                    fileSize: file.size,
+                    mimeType: file.type,
+                    ...entry
+                }, file);
+            } catch (error) {
+                console.error(`Error loading saved entry ${entry.id}:`, error);
+            }
+        }
+    }
+
+    // Fill the file types panel: a size limit and the allowed types per category
+    renderFileTypePolicy(policy) {
+        const megabyte = 1024 * 1024;
+        document.getElementById('fileTypesList').replaceChildren(...Object.entries(FILE_CATEGORIES).map(([category, name]) => {
+            const limit = createElement('input', {
+                className: 'form-control form-control-sm file-size-limit',
+                attrs: { type: 'number', min: 1, max: MAX_SIZE_LIMIT / megabyte, step: 1, 'data-category': category, 'aria-label': `${name} size limit` }
+            });
+            limit.value = Math.round(policy.maxSize[category] / megabyte);
+
+            const types = Object.entries(FILE_TYPES)
+                .filter(([, fileType]) => fileType.category === category)
+                .map(([key, fileType]) => {
+                    const checkbox = createElement('input', {
+                        className: 'form-check-input',
+                        attrs: { type: 'checkbox', id: `fileType-${key}`, 'data-file-type': key }
+                    });
+                    checkbox.checked = policy.allowed.includes(key);
+                    return createElement('div', { className: 'form-check form-check-inline' }, [
+                        checkbox,
+                        createElement('label', { className: 'form-check-label', text: fileType.label, attrs: { for: `fileType-${key}` } })
+                    ]);
+                });
+
+            return createElement('div', { className: 'list-group-item' }, [
+                createElement('div', { className: 'd-flex align-items-center gap-2 mb-2' }, [
+                    createElement('div', { className: 'fw-semibold flex-grow-1', text: name }),
+                    createElement('span', { className: 'small text-muted', text: 'Up to' }),
+                    limit,
+                    createElement('span', { className: 'small text-muted', text: 'MB' })
+                ]),
+                createElement('div', {}, types)
+            ]);
+        }));
+    }
+
+    saveFileTypePolicy() {
+        const megabyte = 1024 * 1024;
+        const allowed = Array.from(document.querySelectorAll('#fileTypesList [data-file-type]'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.dataset.fileType);
+        if (allowed.length === 0) {
+            this.showToast('Error', 'Allow at least one file type', 'danger');
+            return;
+        }
+
+        const maxSize = {};
+        for (const input of document.querySelectorAll('#fileTypesList [data-category]')) {
+            const megabytes = Number(input.value);
+            if (!Number.isFinite(megabytes) || megabytes < 1 || megabytes * megabyte > MAX_SIZE_LIMIT) {
+                this.showToast('Error', `Size limits must be between 1 and ${MAX_SIZE_LIMIT / megabyte} MB`, 'danger');
+                return;
+            }
+            maxSize[input.dataset.category] = Math.round(megabytes * megabyte);
+        }
+
+        this.settings.fileTypePolicy = { allowed, maxSize };
+        this.saveSettings();
+        this.applyFileTypePolicy();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('fileTypesModal')).hide();
+        this.showToast('Success', 'File type settings saved', 'success');
+    }
+
+    // The type filter, the upload help text, the file picker and the camera follow the policy
+    applyFileTypePolicy() {
+        const { allowed, maxSize } = this.settings.fileTypePolicy;
+        const categories = Object.keys(FILE_CATEGORIES)
+            .filter(category => allowed.some(key => FILE_TYPES[key].category === category));
+
+        const typeFilter = document.getElementById('typeFilter');
+        const current = typeFilter.value;
+        typeFilter.replaceChildren(
+            createElement('option', { text: 'All Types', attrs: { value: 'all' } }),
+            ...categories.map(category => createElement('option', { text: FILE_CATEGORIES[category], attrs: { value: category } }))
+        );
+        typeFilter.value = categories.includes(current) ? current : 'all';
+        if (typeFilter.value !== current && current) this.loadEntries();
+
+        const limits = categories.map(category => `${FILE_CATEGORIES[category].toLowerCase()} up to ${this.formatFileSize(maxSize[category])}`);
+        document.getElementById('uploadHelp').textContent =
+            `Allowed: ${allowed.map(key => FILE_TYPES[key].label).join(', ')}. ` +
+            `Size limits: ${limits.join(', ')}. Select or drop several files to upload them together.`;
+
+        document.getElementById('fileInput').accept = allowed
+            .flatMap(key => [...FILE_TYPES[key].mimeTypes, ...FILE_TYPES[key].extensions.map(extension => `.${extension}`)])
+            .join(',');
+
+        // Photos are saved as JPEG
+        const canCapture = !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia) && allowed.includes('jpg');
+        document.getElementById('captureBtn').classList.toggle('d-none', !canCapture);
+    }
+
+    renderCustomFieldEditor(fields) {
+        document.getElementById('customFieldsList').replaceChildren(...fields.map(field => this.createCustomFieldEditorRow(field)));
+    }
+
+    // One editable field in the custom fields modal. A saved field keeps its
+    // type, since the values already stored were entered for it.
+    createCustomFieldEditorRow(field) {
+        const label = createElement('input', {
+            className: 'form-control form-control-sm custom-field-label',
+            attrs: { type: 'text', placeholder: 'Field name', 'aria-label': 'Field name' }
+        });
+        label.value = field.label;
+        const type = createElement('select', { className: 'form-select form-select-sm custom-field-type', attrs: { 'aria-label': 'Field type' } },
+            Object.entries(CUSTOM_FIELD_TYPES).map(([value, name]) => createElement('option', { text: name, attrs: { value } })));
+        type.value = field.type;
+        type.disabled = !!field.id;
+        const options = createElement('input', {
+            className: 'form-control form-control-sm mt-2 custom-field-options',
+            attrs: { type: 'text', placeholder: 'Choices, comma separated', 'aria-label': 'Choices' }
+        });
+        options.value = (field.options || []).join(', ');
+        options.classList.toggle('d-none', field.type !== 'select');
+        const reminderId = `customFieldReminder-${Math.random().toString(36).slice(2)}`;
+        const reminder = createElement('input', { className: 'form-check-input custom-field-reminder', attrs: { type: 'checkbox', id: reminderId } });
+        reminder.checked = !!field.reminder;
+        const reminderGroup = createElement('div', { className: 'form-check mt-2 mb-0' }, [
+            reminder,
+            createElement('label', { className: 'form-check-label small', text: 'Due date: list in Upcoming and send reminders', attrs: { for: reminderId } })
+        ]);
+        reminderGroup.classList.toggle('d-none', field.type !== 'date');
+        type.addEventListener('change', () => {
+            options.classList.toggle('d-none', type.value !== 'select');
+            reminderGroup.classList.toggle('d-none', type.value !== 'date');
+        });
+        const removeBtn = createElement('button', { className: 'btn btn-sm btn-outline-danger', attrs: { type: 'button', title: 'Remove field' } },
+            [createElement('i', { className: 'bi bi-x-lg' })]);
+
+        const row = createElement('div', { className: 'list-group-item', attrs: field.id ? { 'data-field-id': field.id } : {} }, [
+            createElement('div', { className: 'd-flex align-items-center gap-2' }, [label, type, removeBtn]),
+            options,
+            reminderGroup
+        ]);
+        removeBtn.addEventListener('click', () => row.remove());
+        return row;
+    }
+
+    saveCustomFields() {
+        const rows = Array.from(document.querySelectorAll('#customFieldsList .list-group-item'));
+        const fields = [];
+        const taken = new Set(rows.map(row => row.dataset.fieldId).filter(id => id));
+
+        for (const row of rows) {
+            const label = row.querySelector('.custom-field-label').value.trim();
+            const type = row.querySelector('.custom-field-type').value;
+            if (!label) {
+                this.showToast('Error', 'Every field needs a name', 'danger');
+                return;
+            }
+            if (fields.some(field => field.label.toLowerCase() === label.toLowerCase())) {
+                this.showToast('Error', `There are two fields named "${label}"`, 'danger');
+                return;
+            }
+
+            let id = row.dataset.fieldId;
+            if (!id) {
+                // Ids are made from the first name and never change afterwards
+                const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'field';
+                id = base;
+                for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+                taken.add(id);
+            }
+
+            const field = { id, label, type };
+            if (type === 'date' && row.querySelector('.custom-field-reminder').checked) {
+                field.reminder = true;
+            }
+            if (type === 'select') {
+                field.options = this.parseTags(row.querySelector('.custom-field-options').value);
+                if (field.options.length === 0) {
+                    this.showToast('Error', `Add at least one choice for "${label}"`, 'danger');
+                    return;
+                }
+            }
+            fields.push(field);
+        }
+
+        this.settings.customFields = fields;
+        this.saveSettings();
+        this.renderCustomFieldInputs();
+        this.loadTags();
+        this.loadEntries();
+        this.renderCalendar();
+        this.checkReminders();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('customFieldsModal')).hide();
+        this.showToast('Success', 'Custom fields saved', 'success');
+    }
+
+    // Inputs for the custom fields in the upload and edit form, filled with values
+    renderCustomFieldInputs(values = {}) {
+        document.getElementById('customFieldsGroup').replaceChildren(...this.settings.customFields.map(field => {
+            const inputId = `customField-${field.id}`;
+            let input;
+            if (field.type === 'select') {
+                const options = [...field.options];
+                // A stored value that is no longer a choice is still shown
+                if (values[field.id] && !options.includes(values[field.id])) options.push(values[field.id]);
+                input = createElement('select', { className: 'form-select' }, [
+                    createElement('option', { text: 'None', attrs: { value: '' } }),
+                    ...options.map(option => createElement('option', { text: option, attrs: { value: option } }))
+                ]);
+            } else {
+                input = createElement('input', {
+                    className: 'form-control',
+                    attrs: { type: field.type, ...(field.type === 'text' ? { list: `${inputId}-values`, autocomplete: 'off' } : { step: 'any' }) }
+                });
+            }
+            input.id = inputId;
+            input.dataset.customField = field.id;
+            input.value = values[field.id] !== undefined ? values[field.id] : '';
+
+            return createElement('div', { className: 'col-sm-6 mb-3' }, [
+                createElement('label', { className: 'form-label', text: field.label, attrs: { for: inputId } }),
+                input,
+                ...(field.type === 'text' ? [createElement('datalist', { attrs: { id: `${inputId}-values` } })] : [])
+            ]);
+        }));
+        this.renderCustomFieldSuggestions();
+    }
+
+    // Offer the values already in use in each custom text field
+    renderCustomFieldSuggestions() {
+        this.fieldValues.forEach((values, id) => {
+            const list = document.getElementById(`customField-${id}-values`);
+            if (!list) return;
+            list.replaceChildren(...Array.from(values.values()).sort((a, b) => a.localeCompare(b))
+                .map(value => createElement('option', { attrs: { value } })));
+        });
+    }
+
+    // Read the custom field inputs into a copy of previous. Returns { fields, error }.
+    readCustomFieldInputs(previous = {}) {
+        const fields = { ...previous };
+        for (const field of this.settings.customFields) {
+            const input = document.getElementById(`customField-${field.id}`);
+            const raw = input ? input.value.trim() : '';
+            if (!raw) {
+                delete fields[field.id];
+                continue;
+            }
+            if (field.type === 'number') {
+                const value = Number(raw);
+                if (!Number.isFinite(value)) {
+                    return { fields, error: `${field.label} must be a number` };
+                }
+                fields[field.id] = value;
+            } else if (field.type === 'date' && isNaN(new Date(raw).getTime())) {
+                return { fields, error: `${field.label} is not a valid date` };
+            } else {
+                fields[field.id] = raw;
+            }
+        }
+        return { fields };
+    }
+
+    formatFieldValue(field, value) {
+        if (field.type === 'date') {
+            return new Date(`${value}T00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        }
+        return String(value);
+    }
+
+    // "Client: Acme · Reference number: 42" for the fields an entry has values for
+    formatCustomFields(entry) {
+        return this.settings.customFields
+            .filter(field => entry.fields && entry.fields[field.id] !== undefined && entry.fields[field.id] !== '')
+            .map(field => `${field.label}: ${this.formatFieldValue(field, entry.fields[field.id])}`)
+            .join(' · ');
+    }
+
+    // Sidebar filters, one per custom field: a list of values for text and
+    // choice fields, a from/to range for numbers and dates. Choices made stay.
+    renderFieldFilters() {
+        const container = document.getElementById('customFieldFilters');
+        const current = new Map(Array.from(container.querySelectorAll('[data-filter-field]'))
+            .map(input => [`${input.dataset.filterField}:${input.dataset.bound || ''}`, input.value]));
+
+        container.replaceChildren(...this.settings.customFields.map(field => {
+            const inputId = `fieldFilter-${field.id}`;
+            let control;
+            if (field.type === 'text' || field.type === 'select') {
+                const values = field.type === 'select'
+                    ? field.options.map(option => [option.toLowerCase(), option])
+                    : Array.from(this.fieldValues.get(field.id) || []).sort((a, b) => a[1].localeCompare(b[1]));
+                control = createElement('select', { className: 'form-select form-select-sm', attrs: { id: inputId, 'data-filter-field': field.id } }, [
+                    createElement('option', { text: 'Any', attrs: { value: '' } }),
+                    ...values.map(([key, name]) => createElement('option', { text: name, attrs: { value: key } }))
+                ]);
+                const previous = current.get(`${field.id}:`);
+                if (previous && values.some(([key]) => key === previous)) control.value = previous;
+            } else {
+                const bound = (name) => {
+                    const input = createElement('input', {
+                        className: 'form-control form-control-sm',
+                        attrs: { type: field.type, step: 'any', 'data-filter-field': field.id, 'data-bound': name, 'aria-label': `${field.label} ${name === 'min' ? 'from' : 'to'}` }
+                    });
+                    input.value = current.get(`${field.id}:${name}`) || '';
+                    return input;
+                };
+                control = createElement('div', { className: 'input-group input-group-sm' }, [
+                    bound('min'),
+                    createElement('span', { className: 'input-group-text', text: 'to' }),
+                    bound('max')
+                ]);
+                control.firstChild.id = inputId;
+            }
+            return createElement('div', { className: 'mb-2' }, [
+                createElement('label', { className: 'form-label small mb-1', text: field.label, attrs: { for: inputId } }),
+                control
+            ]);
+        }));
+    }
+
+    // Ids of the entries that pass every custom field filter, looked up in the
+    // fieldValues index; null when no filter is set
+    async getFieldFilterMatches() {
+        const queries = [];
+        for (const field of this.settings.customFields) {
+            const inputs = document.querySelectorAll(`#customFieldFilters [data-filter-field="${field.id}"]`);
+            if (field.type === 'text' || field.type === 'select') {
+                // Any of the stored forms of the value matches
+                if (inputs[0] && inputs[0].value) queries.push(await this.vault.getFieldLookups(field.id, inputs[0].value));
+                continue;
+            }
+
+            const parse = (value) => field.type === 'number' ? Number(value) : value;
+            const [min, max] = Array.from(inputs).map(input => input.value);
+            if (!min && !max) continue;
+            // [id] sorts before every [id, value] and [id, []] after them
+            queries.push([keyRange(min ? [field.id, parse(min)] : [field.id], max ? [field.id, parse(max)] : [field.id, []])]);
+        }
+
+        let matches = null;
+        for (const lookups of queries) {
+            const ids = new Set();
+            for (const query of lookups) {
+                (await this.storage.getAllKeysFromIndex(STORE_NAME, 'fieldValues', query)).forEach(id => ids.add(id));
+            }
+            matches = matches ? new Set(Array.from(matches).filter(id => ids.has(id))) : ids;
+        }
+        return matches;
+    }
+
+    // { usage, quota } in bytes for this site, or null when the browser does not say
+    async getStorageEstimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return quota ? { usage: usage || 0, quota } : null;
+        } catch (error) {
+            console.warn('Could not estimate storage:', error);
+            return null;
+        }
+    }
+
+    // Ask before an upload larger than the space the browser has left. Only
+    // IndexedDB counts against that quota; the other backends report their own errors.
+    async confirmStorageSpace(bytes) {
+        if (!(this.storage instanceof IndexedDBAdapter)) return true;
+        const estimate = await this.getStorageEstimate();
+        if (!estimate) return true;
+
+        const free = Math.max(0, estimate.quota - estimate.usage);
+        if (bytes <= free) return true;
+        return confirm(`These files need ${this.formatFileSize(bytes)}, but only ${this.formatFileSize(free)} of storage is left, ` +
+            'so the upload will probably fail. Empty the trash or delete large files first, or upload anyway?');
+    }
+
+    async requestPersistentStorage() {
+        try {
+            const persisted = navigator.storage && navigator.storage.persist && await navigator.storage.persist();
+            if (persisted) {
+                this.showToast('Success', 'The browser will keep the library even when space runs low', 'success');
+            } else {
+                this.showToast('Warning', 'The browser did not allow persistent storage. Bookmarking the page or installing it can help.', 'warning');
+            }
+        } catch (error) {
+            console.error('Error requesting persistent storage:', error);
+            this.showToast('Error', 'Could not request persistent storage', 'danger');
+        }
+        this.renderStorageUsage();
+    }
+
+    // Close a modal, then run next once it is gone so the next modal can open cleanly
+    switchModal(modalElement, next) {
+        modalElement.addEventListener('hidden.bs.modal', next, { once: true });
+        bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+    }
+
+    // Groups of entries outside the trash with identical files, largest files first
+    async findDuplicateGroups() {
+        await this.hashPendingEntries();
+        const groups = new Map();
+        (await this.getAllEntries()).filter(entry => !entry.deletedAt && entry.contentHash).forEach(entry => {
+            groups.set(entry.contentHash, [...(groups.get(entry.contentHash) || []), entry]);
+        });
+        return Array.from(groups.values())
+            .filter(group => group.length > 1)
+            .map(group => group.sort((a, b) => new Date(a.date) - new Date(b.date)))
+            .sort((a, b) => (b[0].fileSize || 0) - (a[0].fileSize || 0));
+    }
+
+    async renderDuplicates() {
+        const list = document.getElementById('duplicatesList');
+        list.innerHTML = '<div class="text-center py-4"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div></div>';
+
+        try {
+            const groups = await this.findDuplicateGroups();
+            if (groups.length === 0) {
+                list.innerHTML = '<div class="alert alert-info mb-0">No duplicate files found</div>';
+                return;
+            }
+
+            this.unobserveThumbnails(list);
+            const wasted = groups.reduce((total, group) => total + (group.length - 1) * (group[0].fileSize || 0), 0);
+            list.replaceChildren(
+                createElement('p', {
+                    className: 'small text-muted',
+                    text: `${groups.length} ${groups.length === 1 ? 'file is' : 'files are'} stored more than once, using ${this.formatFileSize(wasted)} for the extra copies. The oldest copy is listed first.`
+                }),
+                ...groups.map(group => createElement('div', { className: 'list-group mb-3' }, group.map(entry => {
+                    const openBtn = createElement('button', {
+                        className: 'btn btn-link p-0 text-start fw-semibold text-truncate',
+                        text: entry.title,
+                        attrs: { type: 'button', 'data-entry-id': entry.id }
+                    });
+                    const deleteBtn = createElement('button', { className: 'btn btn-sm btn-outline-danger', attrs: { type: 'button', title: 'Move to trash' } },
+                        [createElement('i', { className: 'bi bi-trash' })]);
+                    deleteBtn.addEventListener('click', () => this.deleteEntry(entry.id));
+
+                    return createElement('div', { className: 'list-group-item d-flex align-items-center gap-2' }, [
+                        createElement('div', { className: 'flex-shrink-0' }, [this.getFileThumbnail(entry)]),
+                        createElement('div', { className: 'flex-grow-1 small text-truncate' }, [
+                            openBtn,
+                            createElement('div', {
+                                className: 'text-muted text-truncate',
+                                text: `${entry.fileName} · ${this.formatFileSize(entry.fileSize || 0)} · ` +
+                                    `uploaded ${new Date(entry.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+                            })
+                        ]),
+                        deleteBtn
+                    ]);
+                })))
+            );
+            this.observeThumbnails(list);
+        } catch (error) {
+            console.error('Error finding duplicates:', error);
+            list.innerHTML = '<div class="alert alert-danger mb-0">Failed to scan the library for duplicates</div>';
+        }
+    }
+
+    async renderStorageUsage() {
+        const container = document.getElementById('storageUsageContent');
+        container.innerHTML = '<div class="text-center py-4"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div></div>';
+
+        try {
+            const [allEntries, versions, estimate] = await Promise.all([
+                this.getAllEntries(),
+                this.storage.getAll(VERSIONS_STORE),
+                this.getStorageEstimate()
+            ]);
+            const persisted = !!navigator.storage && !!navigator.storage.persisted && await navigator.storage.persisted();
+            const entries = allEntries.filter(entry => !entry.deletedAt);
+            const trashed = allEntries.filter(entry => entry.deletedAt);
+            const sum = (items, size) => items.reduce((total, item) => total + (size(item) || 0), 0);
+            const librarySize = sum(entries, entry => entry.fileSize);
+            const trashSize = sum(trashed, entry => entry.fileSize);
+            const versionSize = sum(versions, version => version.file && version.file.size);
+            const format = (bytes) => this.formatFileSize(bytes);
+            const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+            const entryLink = (entry) => createElement('button', {
+                className: 'btn btn-link btn-sm p-0 text-start text-truncate storage-entry-link',
+                text: entry.title,
+                attrs: { type: 'button', 'data-entry-id': entry.id, title: entry.fileName }
+            });
+            const section = (title, children) => createElement('div', { className: 'mb-4' }, [
+                createElement('h6', { className: 'mb-2', text: title }),
+                ...children
+            ]);
+            const bar = (value, total) => createElement('div', { className: 'progress storage-bar' }, [
+                createElement('div', {
+                    className: 'progress-bar',
+                    attrs: { role: 'progressbar', style: `width: ${total > 0 ? Math.min(100, value / total * 100) : 0}%` }
+                })
+            ]);
+            // Rows of [label element or text, detail text, size in bytes] with a bar relative to the first
+            const sizeTable = (rows) => createElement('div', { className: 'list-group list-group-flush' }, rows.map(([label, detail, size]) =>
+                createElement('div', { className: 'list-group-item px-0 d-flex align-items-center gap-2 small' }, [
+                    createElement('div', { className: 'storage-label text-truncate' }, [typeof label === 'string' ? document.createTextNode(label) : label]),
+                    createElement('div', { className: 'flex-grow-1' }, [bar(size, rows[0][2])]),
+                    createElement('div', { className: 'text-muted text-nowrap', text: detail ? `${detail} · ${format(size)}` : format(size) })
+                ])
+            ));
+
+            // Overall use, as the browser sees it
+            const overview = [];
+            if (estimate) {
+                const percent = Math.round(estimate.usage / estimate.quota * 100);
+                overview.push(
+                    createElement('div', { className: 'd-flex justify-content-between small mb-1' }, [
+                        createElement('span', { text: `${format(estimate.usage)} of ${format(estimate.quota)} used` }),
+                        createElement('span', { className: 'text-muted', text: `${percent}%` })
+                    ]),
+                    createElement('div', { className: 'progress mb-2' }, [
+                        createElement('div', {
+                            className: `progress-bar${percent >= 90 ? ' bg-danger' : percent >= 75 ? ' bg-warning' : ''}`,
+                            attrs: { role: 'progressbar', style: `width: ${Math.max(percent, 1)}%` }
+                        })
+                    ])
+                );
+                if (!(this.storage instanceof IndexedDBAdapter)) {
+                    overview.push(createElement('p', { className: 'small text-muted mb-2', text: `The library itself is kept in ${this.storage.label}, which this figure does not include.` }));
+                }
+            } else {
+                overview.push(createElement('p', { className: 'small text-muted mb-2', text: 'This browser does not report how much storage is available.' }));
+            }
+            overview.push(createElement('p', {
+                className: 'small mb-0',
+                text: `Files ${format(librarySize)} (${plural(entries.length, 'entry')}) · Trash ${format(trashSize)} · Version history ${format(versionSize)}`
+            }));
+
+            document.getElementById('persistStorageBtn').classList.toggle('d-none', persisted || !navigator.storage || !navigator.storage.persist);
+            document.getElementById('storagePersistence').textContent = persisted
+                ? 'Storage is persistent: the browser will not clear the library to free up space.'
+                : 'The browser may clear the library when the device runs low on space.';
+
+            // By file type, largest first
+            const byType = new Map();
+            entries.forEach(entry => {
+                const stat = byType.get(entry.fileType) || { count: 0, size: 0 };
+                stat.count++;
+                stat.size += entry.fileSize || 0;
+                byType.set(entry.fileType, stat);
+            });
+            const typeRows = Array.from(byType.entries())
+                .sort((a, b) => b[1].size - a[1].size)
+                .map(([fileType, stat]) => [
+                    FILE_TYPES[fileType] ? FILE_TYPES[fileType].label : fileType.toUpperCase(),
+                    plural(stat.count, 'file'),
+                    stat.size
+                ]);
+
+            // By tag; an entry with several tags counts toward each
+            const byTag = new Map();
+            entries.forEach(entry => (entry.tags || []).forEach(tag => {
+                const key = tag.toLowerCase();
+                const stat = byTag.get(key) || { count: 0, size: 0 };
+                stat.count++;
+                stat.size += entry.fileSize || 0;
+                byTag.set(key, stat);
+            }));
+            const tagRows = Array.from(byTag.entries())
+                .sort((a, b) => b[1].size - a[1].size)
+                .slice(0, STORAGE_REPORT_LIMIT)
+                .map(([key, stat]) => [this.createTagBadge(this.tagStats.has(key) ? this.tagStats.get(key).name : key), plural(stat.count, 'file'), stat.size]);
+
+            const largest = [...entries].sort((a, b) => (b.fileSize || 0) - (a.fileSize || 0)).slice(0, STORAGE_REPORT_LIMIT);
+
+            container.replaceChildren(
+                section('Usage', overview),
+                section('By file type', typeRows.length > 0 ? [sizeTable(typeRows)] : [createElement('p', { className: 'small text-muted', text: 'No files yet' })]),
+                section('By tag', tagRows.length > 0 ? [sizeTable(tagRows)] : [createElement('p', { className: 'small text-muted', text: 'No tagged files' })]),
+                section('Largest files', largest.length > 0
+                    ? [sizeTable(largest.map(entry => [entryLink(entry), FILE_TYPES[entry.fileType] ? FILE_TYPES[entry.fileType].label : '', entry.fileSize || 0]))]
+                    : [createElement('p', { className: 'small text-muted', text: 'No files yet' })]),
+                section('Cleanup suggestions', [await this.renderCleanupSuggestions(entries, trashed, versions)])
+            );
+        } catch (error) {
+            console.error('Error loading storage usage:', error);
+            container.innerHTML = '<div class="alert alert-danger mb-0">Failed to load storage usage</div>';
+        }
+    }
+
+    async renderCleanupSuggestions(entries, trashed, versions) {
+        const format = (bytes) => this.formatFileSize(bytes);
+        const suggestions = [];
+        const suggestion = (title, detail, children) => createElement('div', { className: 'list-group-item' }, [
+            createElement('div', { className: 'd-flex justify-content-between gap-2' }, [
+                createElement('span', { className: 'fw-semibold small', text: title }),
+                createElement('span', { className: 'small text-muted text-nowrap', text: detail })
+            ]),
+            ...children
+        ]);
+        const entryLinks = (items) => createElement('div', { className: 'd-flex flex-column mt-1' }, items.slice(0, STORAGE_REPORT_LIMIT).map(entry => (
+            createElement('div', { className: 'd-flex justify-content-between gap-2 small' }, [
+                createElement('button', {
+                    className: 'btn btn-link btn-sm p-0 text-start text-truncate',
+                    text: entry.title,
+                    attrs: { type: 'button', 'data-entry-id': entry.id }
+                }),
+                createElement('span', { className: 'text-muted text-nowrap', text: format(entry.fileSize || 0) })
+            ])
+        )));
+
+        if (trashed.length > 0) {
+            const openTrash = createElement('button', { className: 'btn btn-sm btn-outline-secondary mt-2', text: 'Open trash', attrs: { type: 'button' } });
+            openTrash.addEventListener('click', () => this.switchModal(document.getElementById('storageUsageModal'), () => {
+                bootstrap.Modal.getOrCreateInstance(document.getElementById('trashModal')).show();
+            }));
+            suggestions.push(suggestion(`Empty the trash (${trashed.length})`,
+                format(trashed.reduce((total, entry) => total + (entry.fileSize || 0), 0)), [openTrash]));
+        }
+
+        const cutoff = Date.now() - OLD_VIDEO_DAYS * 24 * 60 * 60 * 1000;
+        const oldVideos = entries
+            .filter(entry => entry.type === 'video' && new Date(entry.date).getTime() < cutoff)
+            .sort((a, b) => (b.fileSize || 0) - (a.fileSize || 0));
+        if (oldVideos.length > 0) {
+            suggestions.push(suggestion(`Videos older than ${OLD_VIDEO_DAYS} days (${oldVideos.length})`,
+                format(oldVideos.reduce((total, entry) => total + (entry.fileSize || 0), 0)), [entryLinks(oldVideos)]));
+        }
+
+        const duplicates = await this.findDuplicateGroups();
+        if (duplicates.length > 0) {
+            // Every copy past the first is wasted space
+            const wasted = duplicates.reduce((total, group) => total + (group.length - 1) * (group[0].fileSize || 0), 0);
+            suggestions.push(suggestion(`Identical files (${duplicates.length} ${duplicates.length === 1 ? 'group' : 'groups'})`,
+                `${format(wasted)} in extra copies`, [entryLinks(duplicates.flat())]));
+        }
+
+        const versionSizes = new Map();
+        versions.filter(version => version.file).forEach(version => {
+            versionSizes.set(version.entryId, (versionSizes.get(version.entryId) || 0) + version.file.size);
+        });
+        if (versionSizes.size > 0) {
+            const withHistory = entries
+                .filter(entry => versionSizes.has(entry.id))
+                .map(entry => ({ ...entry, fileSize: versionSizes.get(entry.id) }))
+                .sort((a, b) => b.fileSize - a.fileSize);
+            const total = Array.from(versionSizes.values()).reduce((sum, size) => sum + size, 0);
+            suggestions.push(suggestion('Earlier files kept in version history', format(total), [
+                createElement('div', { className: 'small text-muted', text: 'Freed when the entry is deleted permanently.' }),
+                entryLinks(withHistory)
+            ]));
+        }
+
+        if (suggestions.length === 0) {
+            return createElement('p', { className: 'small text-muted mb-0', text: 'Nothing to clean up.' });
+        }
+        return createElement('div', { className: 'list-group' }, suggestions);
+    }
+
+    renderStorageSettings() {
+        document.getElementById('storageCurrent').textContent = `Currently using ${this.storage.label}.`;
+        document.getElementById('storageAdapterSelect').value = this.settings.storageAdapter;
+        document.getElementById('restStorageUrlInput').value = this.settings.restStorageUrl;
+        document.getElementById('restStorageTokenInput').value = this.settings.restStorageToken;
+        ['restStorageUrlGroup', 'restStorageTokenGroup'].forEach(id => {
+            document.getElementById(id).classList.toggle('d-none', this.settings.storageAdapter !== 'rest');
+        });
+    }
+
+    saveStorageSettings() {
+        const adapter = document.getElementById('storageAdapterSelect').value;
+        const url = document.getElementById('restStorageUrlInput').value.trim();
+        if (adapter === 'rest' && !/^https?:\/\//i.test(url)) {
+            this.showToast('Error', 'Please enter an http:// or https:// server URL', 'danger');
+            return;
+        }
+
+        this.settings.storageAdapter = adapter;
+        if (adapter === 'rest') {
+            this.settings.restStorageUrl = url;
+            this.settings.restStorageToken = document.getElementById('restStorageTokenInput').value.trim();
+        }
+        this.saveSettings();
+        window.location.reload();
+    }
+
+    saveSyncSettings() {
+        const url = document.getElementById('syncUrlInput').value.trim();
+        if (url && !/^https?:\/\//i.test(url)) {
+            this.showToast('Error', 'Please enter an http:// or https:// server URL', 'danger');
+            return;
+        }
+
+        this.settings.syncUrl = url;
+        this.settings.syncToken = document.getElementById('syncTokenInput').value.trim();
+        this.saveSettings();
+        bootstrap.Modal.getInstance(document.getElementById('syncModal')).hide();
+        this.sync.sync();
+    }
+
+    // Show the lock screen until the passphrase opens the vault. Runs before
+    // anything is read from storage; resolves right away without a vault.
+    unlockVault() {
+        if (!this.vault.locked) return Promise.resolve();
+
+        const lockScreen = document.getElementById('vaultLock');
+        const input = document.getElementById('vaultUnlockPassphrase');
+        const button = document.getElementById('vaultUnlockBtn');
+        lockScreen.classList.remove('d-none');
+        input.focus();
+
+        const form = document.getElementById('vaultUnlockForm');
+        return new Promise(resolve => {
+            const onSubmit = async (e) => {
+                e.preventDefault();
+                if (button.disabled) return;
+                button.disabled = true;
+                let unlocked = false;
+                try {
+                    unlocked = await this.vault.unlock(input.value);
+                } catch (error) {
+                    console.error('Error unlocking vault:', error);
+                }
+                button.disabled = false;
+                input.classList.toggle('is-invalid', !unlocked);
+                if (!unlocked) {
+                    input.select();
+                    return;
+                }
+                input.value = '';
+                lockScreen.classList.add('d-none');
+                // A later lock reloads the page, so the form is done with
+                form.removeEventListener('submit', onSubmit);
+                resolve();
+            };
+            form.addEventListener('submit', onSubmit);
+        });
+    }
+
+    initVault() {
+        ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => { this.lastActivity = Date.now(); }, { capture: true, passive: true });
+        });
+        setInterval(() => this.checkVaultIdle(), VAULT_IDLE_CHECK_INTERVAL);
+        document.addEventListener('visibilitychange', () => this.checkVaultIdle());
+        window.addEventListener('beforeunload', (e) => {
+            // Leaving halfway is safe, but the rest waits for the next unlock
+            if (this.vault.isResealing) e.preventDefault();
+        });
+
+        document.getElementById('lockVaultBtn').addEventListener('click', () => this.lockVault());
+        document.getElementById('vaultLockNowBtn').addEventListener('click', () => this.lockVault());
+        document.getElementById('vaultModal').addEventListener('show.bs.modal', () => this.renderVaultSettings());
+        document.getElementById('vaultEnableForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.enableVault();
+        });
+        document.getElementById('vaultChangeForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.changeVaultPassphrase();
+        });
+        document.getElementById('vaultDisableForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.disableVault();
+        });
+        document.getElementById('vaultAutoLockInput').addEventListener('change', (e) => {
+            const minutes = parseInt(e.target.value);
+            if (isNaN(minutes) || minutes < 0) {
+                e.target.value = this.settings.vaultAutoLockMinutes;
+                return;
+            }
+            this.settings.vaultAutoLockMinutes = minutes;
+            this.saveSettings();
+        });
+        document.getElementById('lockVaultBtn').classList.toggle('d-none', !this.vault.enabled);
+
+        // Turning the vault on or off, or a passphrase change, was cut short
+        if (this.vault.enabled && this.vault.config.pending) {
+            this.runVaultTask(onProgress => this.vault.resealLibrary(onProgress), 'Finished encrypting the library');
+        }
+    }
+
+    checkVaultIdle() {
+        const minutes = this.settings.vaultAutoLockMinutes;
+        if (!this.vault.enabled || this.vault.locked || !minutes) return;
+        // Never in the middle of writing files
+        if (this.isUploading || this.vault.isResealing) return;
+        if (Date.now() - this.lastActivity >= minutes * 60 * 1000) {
+            this.lockVault();
+        }
+    }
+
+    // Reloading is the sure way to drop every opened file and description from the page
+    lockVault() {
+        this.vault.lock();
+        window.location.reload();
+    }
+
+    renderVaultSettings() {
+        const { enabled } = this.vault;
+        document.getElementById('vaultStatus').textContent = enabled
+            ? 'The vault is on. Files, titles, descriptions, file names and custom text fields are stored and synced encrypted. Tags, dates and custom date and number fields stay readable, since the list filters on them and the sync server merges tags.'
+            : 'The vault is off. Files are stored as they are.';
+        document.getElementById('vaultEnableForm').classList.toggle('d-none', enabled);
+        document.getElementById('vaultChangeForm').classList.toggle('d-none', !enabled);
+        document.getElementById('vaultDisableForm').classList.toggle('d-none', !enabled);
+        document.getElementById('vaultLockNowBtn').classList.toggle('d-none', !enabled);
+        document.getElementById('vaultAutoLockInput').value = this.settings.vaultAutoLockMinutes;
+        document.getElementById('lockVaultBtn').classList.toggle('d-none', !enabled);
+        this.setVaultFormsDisabled(this.vault.isResealing);
+    }
+
+    setVaultFormsDisabled(disabled) {
+        document.querySelectorAll('#vaultModal form input, #vaultModal form button').forEach(element => {
+            element.disabled = disabled;
+        });
+    }
+
+    // A new passphrase must be long enough and typed the same twice
+    checkNewPassphrase(passphrase, confirmation) {
+        if (passphrase.length < VAULT_MIN_PASSPHRASE) {
+            this.showToast('Error', `The passphrase needs at least ${VAULT_MIN_PASSPHRASE} characters`, 'danger');
+            return false;
+        }
+        if (passphrase !== confirmation) {
+            this.showToast('Error', 'The passphrases do not match', 'danger');
+            return false;
+        }
+        return true;
+    }
+
+    async enableVault() {
+        const passphrase = document.getElementById('vaultNewPassphrase').value;
+        if (!this.checkNewPassphrase(passphrase, document.getElementById('vaultConfirmPassphrase').value)) return;
+        await this.runVaultTask(onProgress => this.vault.enable(passphrase, onProgress).then(() => true), 'The vault is on');
+    }
+
+    async changeVaultPassphrase() {
+        const current = document.getElementById('vaultCurrentPassphrase').value;
+        const passphrase = document.getElementById('vaultChangedPassphrase').value;
+        if (!this.checkNewPassphrase(passphrase, document.getElementById('vaultChangedConfirmPassphrase').value)) return;
+        await this.runVaultTask(onProgress => this.vault.changePassphrase(current, passphrase, onProgress), 'Passphrase changed and the library encrypted again');
+    }
+
+    async disableVault() {
+        const passphrase = document.getElementById('vaultDisablePassphrase').value;
+        await this.runVaultTask(onProgress => this.vault.disable(passphrase, onProgress), 'The vault is off');
+    }
+
+    // Run a vault change with its progress in the vault modal. task resolves
+    // to false for a wrong passphrase. The list is loaded again afterwards,
+    // since the stored records changed underneath it.
+    async runVaultTask(task, message) {
+        const progress = document.getElementById('vaultProgress');
+        const bar = progress.querySelector('.progress-bar');
+        const label = document.getElementById('vaultProgressText');
+        const onProgress = (done, total) => {
+            bar.style.width = `${Math.round(done / total * 100)}%`;
+            label.textContent = `${done} of ${total} entries done`;
+        };
+
+        this.setVaultFormsDisabled(true);
+        bar.style.width = '0%';
+        label.textContent = 'Working...';
+        progress.classList.remove('d-none');
+        try {
+            const done = await task(onProgress);
+            if (done === false) {
+                this.showToast('Error', 'The current passphrase is not right', 'danger');
+                return;
+            }
+            if (this.vault.enabled && this.vault.config.pending) {
+                this.showToast('Warning', 'Some entries kept changing and are encrypted at the next unlock', 'warning');
+            } else {
+                this.showToast('Success', message, 'success');
+            }
+            document.querySelectorAll('#vaultModal input[type="password"]').forEach(input => { input.value = ''; });
+            this.loadEntries();
+            // Replaces the reminders the service worker keeps, with or without titles
+            this.checkReminders();
+        } catch (error) {
+            console.error('Error updating vault:', error);
+            this.showToast('Error', this.getStorageErrorMessage(error, 'Failed to update the vault. It carries on at the next unlock.'), 'danger');
+        } finally {
+            progress.classList.add('d-none');
+            this.renderVaultSettings();
+        }
+    }
+
+    // status is one of disabled, syncing, synced, offline or error
+    updateSyncStatus(status, { pending = 0, message = '' } = {}) {
+        const states = {
+            disabled: { icon: 'bi-cloud-slash', text: 'Sync off', title: 'Sync is off. Click to set up.' },
+            syncing: { icon: 'bi-arrow-repeat', text: 'Syncing...', title: 'Syncing with the server' },
+            synced: { icon: 'bi-cloud-check', text: 'Synced', title: `Last synced at ${new Date().toLocaleTimeString()}. Click to sync now.` },
+            offline: { icon: 'bi-wifi-off', text: pending > 0 ? `Offline (${pending} pending)` : 'Offline', title: 'Changes are kept and sent when the server can be reached. Click to retry.' },
+            error: { icon: 'bi-exclamation-triangle', text: 'Sync error', title: `${message || 'Sync failed'}. Click to retry.` }
+        };
+        const state = states[status];
+        const button = document.getElementById('syncStatusBtn');
+        button.title = state.title;
+        button.classList.toggle('btn-outline-danger', status === 'error');
+        button.classList.toggle('btn-outline-secondary', status !== 'error');
+        button.querySelector('i').className = `bi ${state.icon}`;
+        document.getElementById('syncStatusText').textContent = state.text;
+    }
+
+    refreshAfterSync() {
+        this.loadEntries();
+        this.loadTags();
+        this.renderCalendar();
+        if (document.getElementById('trashModal').classList.contains('show')) {
+            this.renderTrash();
+        }
+        if (document.getElementById('duplicatesModal').classList.contains('show')) {
+            this.renderDuplicates();
+        }
+    }
+
+    // Errors worth showing as they are; anything else gets the generic message
+    getStorageErrorMessage(error, fallback) {
+        return error instanceof StorageQuotaError ? error.message : fallback;
+    }
+
+    initUI() {
+        // Initialize calendar
+        this.renderCalendar();
+
+        // Set current date display
+        this.updateCurrentDateDisplay();
+
+        // Event listeners
+        document.getElementById('uploadBtn').addEventListener('click', () => this.handleUpload());
+        document.getElementById('fileInput').addEventListener('change', (e) => {
+            if (!this.currentEntryId) this.setUploadFiles(e.target.files);
+        });
+        document.getElementById('uploadModal').addEventListener('hidden.bs.modal', () => {
+            // A duplicate still waiting for an answer is not uploaded
+            this.uploadQueue.forEach(item => item.resolveDuplicate && item.resolveDuplicate('cancel'));
+            if (!this.isUploading) this.resetForm();
+        });
+        this.initDropZone();
+        this.initCapture();
+        document.getElementById('exportLibraryBtn').addEventListener('click', () => this.exportLibrary());
+        document.getElementById('trashModal').addEventListener('show.bs.modal', () => this.renderTrash());
+        document.getElementById('emptyTrashBtn').addEventListener('click', () => this.emptyTrash());
+        document.getElementById('trashRetentionInput').addEventListener('change', (e) => {
+            const days = parseInt(e.target.value);
+            if (!days || days < 1) {
+                e.target.value = this.settings.trashRetentionDays;
+                return;
+            }
+            this.settings.trashRetentionDays = days;
+            this.saveSettings();
+            this.purgeExpiredTrash().then(() => this.renderTrash());
+        });
+        document.getElementById('storageModal').addEventListener('show.bs.modal', () => this.renderStorageSettings());
+        document.getElementById('storageAdapterSelect').addEventListener('change', (e) => {
+            ['restStorageUrlGroup', 'restStorageTokenGroup'].forEach(id => {
+                document.getElementById(id).classList.toggle('d-none', e.target.value !== 'rest');
+            });
+        });
+        document.getElementById('saveStorageBtn').addEventListener('click', () => this.saveStorageSettings());
+        document.getElementById('syncModal').addEventListener('show.bs.modal', () => {
+            document.getElementById('syncUrlInput').value = this.settings.syncUrl;
+            document.getElementById('syncTokenInput').value = this.settings.syncToken;
+        });
+        document.getElementById('saveSyncBtn').addEventListener('click', () => this.saveSyncSettings());
+        document.getElementById('syncStatusBtn').addEventListener('click', () => {
+            if (this.sync.enabled) {
+                this.sync.sync();
+            } else {
+                bootstrap.Modal.getOrCreateInstance(document.getElementById('syncModal')).show();
+            }
+        });
+        document.getElementById('importLibraryBtn').addEventListener('click', () => this.importLibrary());
+        document.getElementById('importModal').addEventListener('hidden.bs.modal', () => {
+            document.getElementById('importForm').reset();
+            document.getElementById('importResult').innerHTML = '';
+        });
+        document.getElementById('searchInput').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.loadEntries(), SEARCH_DELAY);
+        });
+        document.getElementById('typeFilter').addEventListener('change', () => this.loadEntries());
+        document.getElementById('customFieldFilters').addEventListener('change', () => this.loadEntries());
+        this.renderFieldFilters();
+        this.renderCustomFieldInputs();
+        const customFieldsModal = document.getElementById('customFieldsModal');
+        customFieldsModal.addEventListener('show.bs.modal', () => this.renderCustomFieldEditor(this.settings.customFields));
+        document.getElementById('addCustomFieldBtn').addEventListener('click', () => {
+            document.getElementById('customFieldsList').appendChild(this.createCustomFieldEditorRow({ label: '', type: 'text' }));
+        });
+        document.getElementById('saveCustomFieldsBtn').addEventListener('click', () => this.saveCustomFields());
+        document.getElementById('tagFilter').addEventListener('click', (e) => {
+            const option = e.target.closest('[data-tag]');
+            if (!option) return;
+            if (this.selectedTags.has(option.dataset.tag)) {
+                this.selectedTags.delete(option.dataset.tag);
+            } else {
+                this.selectedTags.add(option.dataset.tag);
+            }
+            this.renderTagFilter();
+            this.loadEntries();
+        });
+        document.querySelectorAll('input[name="tagMatchMode"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                this.tagMatchMode = e.target.value;
+                if (this.selectedTags.size > 1) this.loadEntries();
+            });
+        });
+        document.getElementById('tagManagerModal').addEventListener('show.bs.modal', () => this.renderTagManager());
+        const storageUsageModal = document.getElementById('storageUsageModal');
+        storageUsageModal.addEventListener('show.bs.modal', () => this.renderStorageUsage());
+        storageUsageModal.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-entry-id]');
+            if (link) this.switchModal(storageUsageModal, () => this.previewEntry(link.dataset.entryId));
+        });
+        document.getElementById('persistStorageBtn').addEventListener('click', () => this.requestPersistentStorage());
+        const duplicatesModal = document.getElementById('duplicatesModal');
+        duplicatesModal.addEventListener('show.bs.modal', () => this.renderDuplicates());
+        duplicatesModal.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-entry-id]');
+            if (link) this.switchModal(duplicatesModal, () => this.previewEntry(link.dataset.entryId));
+        });
+        document.getElementById('fileTypesModal').addEventListener('show.bs.modal', () => this.renderFileTypePolicy(this.settings.fileTypePolicy));
+        document.getElementById('resetFileTypesBtn').addEventListener('click', () => this.renderFileTypePolicy(DEFAULT_SETTINGS.fileTypePolicy));
+        document.getElementById('saveFileTypesBtn').addEventListener('click', () => this.saveFileTypePolicy());
+        this.applyFileTypePolicy();
+        document.getElementById('mergeTagsBtn').addEventListener('click', () => this.mergeCheckedTags());
+        this.initTagAutocomplete();
+        document.getElementById('clearFilters').addEventListener('click', () => this.clearFilters());
+        this.initEntryList();
+        document.querySelectorAll('input[name="dateRange"]').forEach(radio => {
+            radio.addEventListener('change', () => this.setDateRange(radio.value));
+        });
+        document.getElementById('showAllDates').addEventListener('change', (e) => this.setShowAllDates(e.target.checked));
+        const previewModal = document.getElementById('previewModal');
+        previewModal.addEventListener('hidden.bs.modal', () => {
+            this.stopSlideshow();
+            this.previewEntryId = null;
+            this.previewZoom = null;
+            this.releasePreviewURLs();
+        });
+        previewModal.addEventListener('keydown', (e) => this.handlePreviewKeys(e));
+        document.getElementById('previewPrevBtn').addEventListener('click', () => this.showAdjacentPreview(-1));
+        document.getElementById('previewNextBtn').addEventListener('click', () => this.showAdjacentPreview(1));
+        document.getElementById('slideshowBtn').addEventListener('click', () => this.toggleSlideshow());
+
+        // Initialize Bootstrap tooltips
+        const tooltipTriggerList = [].slice.call(document.querySelectorAll('[data-bs-toggle="tooltip"]'));
+        tooltipTriggerList.map(function (tooltipTriggerEl) {
+            return new bootstrap.Tooltip(tooltipTriggerEl);
+        });
+    }
+
+    initEntryList() {
+        const entriesList = document.getElementById('entriesList');
+        const sortField = document.getElementById('sortField');
+        const sortDirectionBtn = document.getElementById('sortDirectionBtn');
+
+        document.querySelectorAll('input[name="entryView"]').forEach(radio => {
+            radio.checked = radio.value === this.settings.entryView;
+            radio.addEventListener('change', () => this.setEntryView(radio.value));
+        });
+
+        sortField.value = this.settings.sortField;
+        this.renderSortDirection();
+        sortField.addEventListener('change', () => {
+            this.settings.sortField = sortField.value;
+            this.saveSettings();
+            this.loadEntries();
+        });
+        sortDirectionBtn.addEventListener('click', () => {
+            this.settings.sortDirection = this.settings.sortDirection === 'asc' ? 'desc' : 'asc';
+            this.saveSettings();
+            this.renderSortDirection();
+            this.loadEntries();
+        });
+
+        // Rows come and go while scrolling, so one listener handles all their buttons
+        entriesList.addEventListener('click', (e) => {
+            const checkbox = e.target.closest('.entry-select');
+            if (checkbox) {
+                this.toggleSelection(parseInt(checkbox.dataset.id), checkbox.checked, e.shiftKey);
+                return;
+            }
+            const button = e.target.closest('button[data-id]');
+            if (!button) return;
+            if (button.classList.contains('preview-btn')) this.previewEntry(button.dataset.id);
+            else if (button.classList.contains('edit-btn')) this.editEntry(button.dataset.id);
+            else if (button.classList.contains('delete-btn')) this.deleteEntry(button.dataset.id);
+        });
+
+        document.getElementById('selectAllEntries').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.selectAllInFilter();
+            } else {
+                this.clearSelection();
+            }
+        });
+        document.getElementById('clearSelectionBtn').addEventListener('click', () => this.clearSelection());
+        document.getElementById('bulkDeleteBtn').addEventListener('click', () => this.bulkDelete());
+        document.getElementById('bulkDownloadBtn').addEventListener('click', () => this.bulkDownload());
+        document.getElementById('bulkAddTagsBtn').addEventListener('click', () => this.bulkEditTags('add'));
+        document.getElementById('bulkRemoveTagsBtn').addEventListener('click', () => this.bulkEditTags('remove'));
+        document.getElementById('bulkDateBtn').addEventListener('click', () => this.bulkChangeDate());
+
+        let frame = null;
+        const render = () => {
+            if (frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                this.renderEntryRows();
+            });
+        };
+        entriesList.addEventListener('scroll', render);
+        window.addEventListener('resize', render);
+    }
+
+    setEntryView(view) {
+        this.settings.entryView = view;
+        this.saveSettings();
+        document.getElementById('entriesList').scrollTop = 0;
+        this.renderEntryRows();
+    }
+
+    renderSortDirection() {
+        const ascending = this.settings.sortDirection === 'asc';
+        const button = document.getElementById('sortDirectionBtn');
+        button.title = ascending ? 'Ascending' : 'Descending';
+        button.querySelector('i').className = `bi ${ascending ? 'bi-sort-up' : 'bi-sort-down'}`;
+    }
+
+    // Check or uncheck an entry; with shift held, everything from the entry
+    // clicked last up to this one follows
+    toggleSelection(id, selected, extendRange) {
+        const entries = this.listState ? this.listState.entries : [];
+        const index = entries.findIndex(entry => entry.id === id);
+        const from = extendRange && this.selectionAnchor !== null ? this.selectionAnchor : index;
+        const [start, end] = from < index ? [from, index] : [index, from];
+
+        entries.slice(start, end + 1).forEach(entry => {
+            if (selected) {
+                this.selectedIds.add(entry.id);
+            } else {
+                this.selectedIds.delete(entry.id);
+            }
+        });
+        this.selectionAnchor = index;
+        this.renderSelection();
+    }
+
+    // Select every entry that matches the filters, reading the pages not loaded yet
+    async selectAllInFilter() {
+        const state = this.listState;
+        if (!state) return;
+        try {
+            while (state.pending || !state.done) {
+                await this.loadNextPage(state);
+            }
+            if (state !== this.listState) return;
+            state.entries.forEach(entry => this.selectedIds.add(entry.id));
+        } catch (error) {
+            console.error('Error loading entries:', error);
+            this.showToast('Error', 'Failed to select all entries', 'danger');
+        }
+        this.renderSelection();
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.selectionAnchor = null;
+        this.renderSelection();
+    }
+
+    renderSelection() {
+        const state = this.listState;
+        const count = this.selectedIds.size;
+        document.querySelectorAll('#entriesList .entry-select').forEach(checkbox => {
+            const selected = this.selectedIds.has(parseInt(checkbox.dataset.id));
+            checkbox.checked = selected;
+            checkbox.closest('.entry-row, .entry-tile').classList.toggle('selected', selected);
+        });
+
+        const allSelected = !!state && state.done && state.entries.length > 0 &&
+            state.entries.every(entry => this.selectedIds.has(entry.id));
+        const selectAll = document.getElementById('selectAllEntries');
+        selectAll.checked = allSelected;
+        selectAll.indeterminate = count > 0 && !allSelected;
+        document.getElementById('selectionCount').textContent = count > 0 ? `${count} selected` : '';
+        document.getElementById('bulkActions').classList.toggle('d-none', count === 0);
+    }
+
+    async bulkDelete() {
+        const ids = Array.from(this.selectedIds);
+        try {
+            const count = await this.setEntriesDeleted(ids, new Date().toISOString());
+            this.showToast('Success', `Moved ${count} ${count === 1 ? 'entry' : 'entries'} to the trash`, 'success', {
+                label: 'Undo',
+                onClick: () => this.restoreEntries(ids)
+            });
+            this.refreshAfterTrashChange();
+        } catch (error) {
+            console.error('Error deleting entries:', error);
+            this.showToast('Error', this.getStorageErrorMessage(error, 'Failed to delete the selected entries'), 'danger');
+        }
+    }
+
+    async restoreEntries(ids) {
+        try {
+            const count = await this.setEntriesDeleted(ids, null);
+            this.showToast('Success', `Restored ${count} ${count === 1 ? 'entry' : 'entries'}`, 'success');
+            this.refreshAfterTrashChange();
+        } catch (error) {
+            console.error('Error restoring entries:', error);
+            this.showToast('Error', this.getStorageErrorMessage(error, 'Failed to restore the entries'), 'danger');
+        }
+    }
+
+    async bulkEditTags(mode) {
+        const input = document.getElementById('bulkTagsInput');
+        const tags = this.parseTags(input.value);
+        if (tags.length === 0) {
+            this.showToast('Error', 'Enter at least one tag', 'danger');
+            return;
+        }
+
+        const keys = new Set(tags.map(tag => tag.toLowerCase()));
+        const ids = Array.from(this.selectedIds);
+        try {
+            const count = await this.updateEntries(ids, (entry) => {
+                const current = entry.tags || [];
+                const updated = mode === 'add'
+                    ? this.parseTags([...current, ...tags].join(','))
+                    : current.filter(tag => !keys.has(tag.toLowerCase()));
+                if (updated.length === current.length) return null;
+                return { ...entry, tags: updated };
+            });
+
+            const unchanged = ids.length - count;
+            const action = mode === 'add' ? 'Added' : 'Removed';
+            const names = tags.join(', ');
+            let message = `${action} ${names} ${mode === 'add' ? 'to' : 'from'} ${count} ${count === 1 ? 'entry' : 'entries'}`;
+            if (unchanged > 0) {
+                message += ` (${unchanged} ${mode === 'add' ? 'already had' : 'did not have'} ${tags.length === 1 ? 'it' : 'them'})`;
+            }
+            this.showToast('Success', message, 'success');
+            input.value = '';
+            this.refreshAfterTrashChange();
+        } catch (error) {
+            console.error('Error updating tags:', error);
+            this.showToast('Error', this.getStorageErrorMessage(error, 'Failed to update the tags'), 'danger');
+        }
+    }
+
+    async bulkChangeDate() {
+        const value = document.getElementById('bulkDateInput').value;
+        const date = new Date(value);
+        if (!value || isNaN(date.getTime())) {
+            this.showToast('Error', 'Choose a date first', 'danger');
+            return;
+        }
+
+        try {
+            const count = await this.updateEntries(Array.from(this.selectedIds), (entry) => {
+                return entry.date === date.toISOString() ? null : { ...entry, date: date.toISOString() };
+            });
+            const formatted = date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+            this.showToast('Success', `Moved ${count} ${count === 1 ? 'entry' : 'entries'} to ${formatted}`, 'success');
+            this.refreshAfterTrashChange();
+        } catch (error) {
+            console.error('Error changing dates:', error);
+            this.showToast('Error', this.getStorageErrorMessage(error, 'Failed to change the date'), 'danger');
+        }
+    }
+
+    async bulkDownload() {
+        try {
+            // Read everything in one go, then build the archive outside the transaction
+            const items = await this.storage.transaction([STORE_NAME, FILES_STORE], async (tx) => {
+                const found = [];
+                for (const id of this.selectedIds) {
+                    const entry = await tx.get(STORE_NAME, id);
+                    const blob = entry && await tx.get(FILES_STORE, id);
+                    if (blob) found.push({ entry, blob });
+                }
+                return found;
+            });
+
+            const missing = this.selectedIds.size - items.length;
+            if (items.length === 0) {
+                this.showToast('Error', 'None of the selected files were found', 'danger');
+                return;
+            }
+
+            const names = new Set();
+            const files = [];
+            for (const { entry: stored, blob } of items) {
+                const entry = await this.vault.openEntry(stored);
+                const name = this.getUniqueFileName(entry.fileName || `download.${entry.fileType}`, names);
+                files.push({ name, data: await this.vault.openBlob(blob), date: new Date(entry.updatedAt || entry.date) });
+            }
+            this.downloadBlob(await createZip(files), `rabindra-selection-${this.toDateKey(new Date())}.zip`);
+
+            let message = `Downloading ${files.length} ${files.length === 1 ? 'file' : 'files'} as a ZIP`;
+            if (missing > 0) message += ` (${missing} not found)`;
+            this.showToast(missing > 0 ? 'Warning' : 'Success', message, missing > 0 ? 'warning' : 'success');
+        } catch (error) {
+            console.error('Error downloading entries:', error);
+            this.showToast('Error', 'Failed to download the selected files', 'danger');
+        }
+    }
+
+    // name, or name with a (2), (3)... before the extension if it is taken. Adds it to taken.
+    getUniqueFileName(name, taken) {
+        const safeName = name.replace(/[\\/]/g, '_');
+        const dot = safeName.lastIndexOf('.');
+        const base = dot > 0 ? safeName.slice(0, dot) : safeName;
+        const extension = dot > 0 ? safeName.slice(dot) : '';
+        let unique = safeName;
+        for (let i = 2; taken.has(unique.toLowerCase()); i++) {
+            unique = `${base} (${i})${extension}`;
+        }
+        taken.add(unique.toLowerCase());
+        return unique;
+    }
+
+    // Entries are read through the index of the chosen sort field a page at a
+    // time; listState keeps what has been read so far for renderEntryRows()
+    async loadEntries() {
+        const requestId = ++this.loadRequestId;
+        const entriesList = document.getElementById('entriesList');
+        // A selection only makes sense within the list it was made in
+        this.selectedIds.clear();
+        this.selectionAnchor = null;
+        this.renderSelection();
+        this.unobserveThumbnails(entriesList);
+        this.releaseThumbnailURLs();
+        entriesList.scrollTop = 0;
+        entriesList.innerHTML = '<div class="text-center py-5" id="loadingIndicator"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div></div>';
+
+        try {
+            const searchTerm = document.getElementById('searchInput').value.trim().toLowerCase();
+            const typeFilter = document.getElementById('typeFilter').value;
+            const selectedTags = Array.from(this.selectedTags);
+            const searchTokens = tokenize(searchTerm);
+            const contentMatches = searchTokens.length > 0 ? await this.searchContents(searchTokens) : new Map();
+            const fieldMatches = await this.getFieldFilterMatches();
+            const bounds = this.showAllDates ? null : this.getDateRangeBounds(this.currentDate, this.dateRange);
+            const dateRange = bounds && keyRange(bounds.start.toISOString(), bounds.end.toISOString(), false, true);
+            const scores = new Map();
+
+            const matches = (entry) => {
+                // Entries in the trash only show up in the Trash panel
+                if (entry.deletedAt) return false;
+                if (dateRange && !keyInRange(entry.date, dateRange)) return false;
+                if (typeFilter !== 'all' && entry.type !== typeFilter) return false;
+                if (fieldMatches && !fieldMatches.has(entry.id)) return false;
+
+                const entryTags = new Set((entry.tags || []).map(tag => tag.toLowerCase()));
+                const matchesTag = selectedTags.length === 0 || (this.tagMatchMode === 'and'
+                    ? selectedTags.every(tag => entryTags.has(tag))
+                    : selectedTags.some(tag => entryTags.has(tag)));
+                if (!matchesTag) return false;
+
+                if (searchTerm === '') return true;
+                const score = this.scoreSearchMatch(entry, searchTerm, searchTokens, contentMatches.get(entry.id));
+                scores.set(entry.id, score);
+                return score > 0;
+            };
+
+            // A later keystroke has already started a newer load
+            if (requestId !== this.loadRequestId) return;
+
+            const { sortField, sortDirection } = this.settings;
+            const state = {
+                matches,
+                contentMatches,
+                searchTokens,
+                entries: [],
+                snippets: new Map(),
+                rows: new Map(),
+                index: SORT_INDEXES[sortField] || 'date',
+                direction: sortDirection === 'asc' ? 'next' : 'prev',
+                after: undefined,
+                done: false,
+                // The page being read, shared by everyone who asks for it meanwhile
+                pending: null
+            };
+            this.listState = state;
+
+            // Sealed titles are not in the sortTitle index (see sealEntry() in vault.js)
+            const sortsOpened = state.index === 'sortTitle' && this.vault.enabled;
+            if ((dateRange || sortsOpened) && state.index !== 'date') {
+                // The other sort indexes know nothing of dates, so paging them would
+                // walk the whole library for one day; read the range and sort it here
+                const key = state.index;
+                const entries = (bounds ? await this.getEntriesInRange(bounds.start, bounds.end) : await this.getAllEntries())
+                    .filter(matches)
+                    .sort((a, b) => compareKeys(a[key], b[key]) || compareKeys(a.id, b.id));
+                if (sortDirection !== 'asc') entries.reverse();
+                state.done = true;
+                await this.appendEntries(state, entries);
+            } else if (sortField === 'relevance' && searchTerm !== '') {
+                // Ranking needs every match, so search results are read in one go
+                const entries = (bounds ? await this.getEntriesInRange(bounds.start, bounds.end) : await this.getAllEntries())
+                    .filter(matches)
+                    .sort((a, b) => (scores.get(b.id) || 0) - (scores.get(a.id) || 0) || new Date(b.date) - new Date(a.date));
+                if (sortDirection === 'asc') entries.reverse();
+                state.done = true;
+                await this.appendEntries(state, entries);
+            } else {
+                state.query = dateRange || undefined;
+                await this.loadNextPage(state);
+            }
+        } catch (error) {
+            if (requestId !== this.loadRequestId) return;
+            console.error('Error loading entries:', error);
+            entriesList.innerHTML = '<div class="alert alert-danger">Failed to load entries</div>';
+            this.showToast('Error', 'Failed to load entries', 'danger');
+        }
+    }
+
+    // Resolves once the next page is in state.entries
+    loadNextPage(state) {
+        if (!state.pending && !state.done) {
+            state.pending = this.readNextPage(state).finally(() => {
+                state.pending = null;
+            });
+        }
+        return state.pending || Promise.resolve();
+    }
+
+    // Read on through the sort index until a page of entries passes the filters
+    async readNextPage(state) {
+        const entries = [];
+        while (entries.length < PAGE_SIZE && !state.done) {
+            const { records, done } = await this.storage.getPage(STORE_NAME, state.index, {
+                query: state.query,
+                direction: state.direction,
+                after: state.after,
+                limit: PAGE_SIZE
+            });
+            if (records.length > 0) {
+                const last = records[records.length - 1];
+                state.after = { key: last.key, primaryKey: last.primaryKey };
+            }
+            state.done = done;
+            const values = await this.vault.openEntries(records.map(record => record.value));
+            entries.push(...values.filter(state.matches));
+        }
+        await this.appendEntries(state, entries);
+    }
+
+    async appendEntries(state, entries) {
+        const snippets = await this.getSearchSnippets(entries.filter(entry => state.contentMatches.has(entry.id)), state.searchTokens);
+        // The filters or sort changed while this page was read
+        if (state !== this.listState) return;
+
+        snippets.forEach((snippet, id) => state.snippets.set(id, snippet));
+        state.entries.push(...entries);
+        this.renderEntryRows();
+        this.renderSelection();
+    }
+
+    // Relevance of an entry for the search box; 0 means it does not match.
+    // The whole phrase in the title or description counts most, then every
+    // token found as a word prefix in the metadata or the file's text.
+    scoreSearchMatch(entry, searchTerm, searchTokens, contentMatch) {
+        let score = 0;
+        if (entry.title.toLowerCase().includes(searchTerm)) score += 10;
+        if (entry.description && entry.description.toLowerCase().includes(searchTerm)) score += 4;
+        const fieldText = Object.values(entry.fields || {}).join(' ');
+        if (fieldText.toLowerCase().includes(searchTerm)) score += 6;
+
+        const metaTokens = tokenize(`${entry.title} ${entry.description || ''} ${fieldText}`);
+        const matchesAllTokens = searchTokens.length > 0 && searchTokens.every(token =>
+            metaTokens.some(metaToken => metaToken.startsWith(token)) ||
+            (contentMatch && contentMatch.tokens.has(token)));
+
+        if (matchesAllTokens) {
+            score += 1 + (contentMatch ? contentMatch.score : 0);
+        }
+        return score;
+    }
+
+    // Look up each token as a term prefix in the inverted index and score the
+    // matching entries with TF-IDF. Returns a Map of entry id -> { score, tokens }.
+    // A vault stores hashed terms, so there only whole words are found.
+    async searchContents(tokens) {
+        const results = new Map();
+        const addMatches = (token, countsByEntry, total) => {
+            const idf = Math.log(1 + total / countsByEntry.size);
+            countsByEntry.forEach((count, entryId) => {
+                const result = results.get(entryId) || { score: 0, tokens: new Set() };
+                result.score += (1 + Math.log(count)) * idf;
+                result.tokens.add(token);
+                results.set(entryId, result);
+            });
+        };
+
+        try {
+            const total = await this.storage.count(TEXTS_STORE);
+            for (const token of tokens) {
+                const ranges = this.vault.keys
+                    ? (await this.vault.getTermLookups(token)).map(term => keyRange([term], [term, []]))
+                    : [keyRange([token], [token + '\uffff'])];
+                const postings = [];
+                for (const range of ranges) {
+                    postings.push(...await this.storage.getAll(TERMS_STORE, range));
+                }
+                const countsByEntry = new Map();
+                postings.forEach(({ entryId, count }) => countsByEntry.set(entryId, (countsByEntry.get(entryId) || 0) + count));
+                if (countsByEntry.size > 0) addMatches(token, countsByEntry, total);
+            }
+        } catch (error) {
+            // Title and description matching still works without the index
+            console.error('Error searching file contents:', error);
+        }
+
+        return results;
+    }
+
+    async getSearchSnippets(entries, tokens) {
+        const snippets = new Map();
+        for (const entry of entries) {
+            const text = await this.getEntryText(entry.id);
+            const snippet = text ? buildSnippet(text, tokens) : '';
+            if (snippet) snippets.set(entry.id, snippet);
+        }
+        return snippets;
+    }
+
+    async getEntryText(id) {
+        const record = await this.storage.get(TEXTS_STORE, id);
+        return record && this.vault.openText(record.text);
+    }
+
+    // Extract the file's text and replace the entry's terms in the inverted index
+    async indexEntryContent(id, file, fileType) {
+        let text = '';
+        try {
+            text = await extractText(file, fileType);
+        } catch (error) {
+            // Still record the empty text so the file is not retried on every load
+            console.warn(`Could not extract text from entry ${id}:`, error);
+        }
+
+        // Sealed before the transaction, which would not survive waiting on crypto
+        const terms = [];
+        for (const [term, count] of countTerms(text)) {
+            terms.push({ term: await this.vault.hashTerm(term), entryId: id, count });
+        }
+        const sealedText = await this.vault.sealText(text);
+        await this.storage.transaction([TEXTS_STORE, TERMS_STORE], async (tx) => {
+            const oldKeys = await tx.getAllKeysFromIndex(TERMS_STORE, 'entryId', id);
+            for (const key of oldKeys) {
+                await tx.delete(TERMS_STORE, key);
+            }
+            for (const term of terms) {
+                await tx.put(TERMS_STORE, term);
+            }
+            await tx.put(TEXTS_STORE, { text: sealedText }, id);
+        });
+    }
+
+    // Index documents stored before full-text search existed
+    async indexPendingEntries() {
+        try {
+            const entries = await this.getAllEntries();
+            const indexedIds = new Set(await this.storage.getAllKeys(TEXTS_STORE));
+
+            for (const entry of entries) {
+                if (!TEXT_INDEXED_TYPES.includes(entry.fileType) || indexedIds.has(entry.id)) continue;
+                const file = await this.getFile(entry.id);
+                if (file) {
+                    await this.indexEntryContent(entry.id, file, entry.fileType);
+                }
+            }
+        } catch (error) {
+            console.error('Error indexing existing entries:', error);
+        }
+    }
+
+    // Hash the files of entries stored before duplicate detection existed
+    hashPendingEntries() {
+        if (!this.hashingEntries) {
+            this.hashingEntries = this.hashEntries().finally(() => {
+                this.hashingEntries = null;
+            });
+        }
+        return this.hashingEntries;
+    }
+
+    async hashEntries() {
+        try {
+            const entries = (await this.getAllEntries()).filter(entry => !entry.contentHash);
+            for (const entry of entries) {
+                const file = await this.getFile(entry.id);
+                if (!file) continue;
+                const contentHash = await sha256Hex(file);
+                await this.storage.transaction([STORE_NAME], async (tx) => {
+                    // Skip entries whose file was replaced while this one was hashed
+                    const current = await tx.get(STORE_NAME, entry.id);
+                    if (current && !current.contentHash && current.updatedAt === entry.updatedAt) {
+                        await tx.put(STORE_NAME, { ...current, contentHash });
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('Error hashing existing entries:', error);
+        }
+    }
+
+    async getAllEntries() {
+        return this.vault.openEntries(await this.storage.getAll(STORE_NAME));
+    }
+
+    // Entries whose upload date falls within [start, end), read through the date index
+    async getEntriesInRange(start, end) {
+        const range = keyRange(start.toISOString(), end.toISOString(), false, true);
+        return this.vault.openEntries(await this.storage.getAllFromIndex(STORE_NAME, 'date', range));
+    }
+
+    // Number of entries per local day within [start, end), keyed by toDateKey()
+    async getEntryCountsByDay(start, end) {
+        const counts = new Map();
+        const addDate = (isoDate) => {
+            const key = this.toDateKey(new Date(isoDate));
+            counts.set(key, (counts.get(key) || 0) + 1);
+        };
+
+        // Entries hold no file content, so reading them whole stays cheap
+        const entries = await this.getEntriesInRange(start, end);
+        entries.filter(entry => !entry.deletedAt).forEach(entry => addDate(entry.date));
+
+        return counts;
+    }
+
+    getLocalStore(name, fallback) {
+        const value = localStorage.getItem(name);
+        return value ? JSON.parse(value) : fallback;
+    }
+
+    setLocalStore(name, value) {
+        localStorage.setItem(name, JSON.stringify(value));
+    }
+
+    loadSettings() {
+        return { ...DEFAULT_SETTINGS, ...this.getLocalStore(SETTINGS_KEY, {}) };
+    }
+
+    saveSettings() {
+        this.setLocalStore(SETTINGS_KEY, this.settings);
+    }
+
+    // Keep only the rows in view (and a few around them) in the DOM, and read
+    // the next page once the end of what has been read comes into view. A grid
+    // row holds as many tiles as fit across.
+    renderEntryRows() {
+        const state = this.listState;
+        if (!state) return;
+        const entriesList = document.getElementById('entriesList');
+
+        if (state.entries.length === 0) {
+            if (state.done) {
+                entriesList.innerHTML = '<div class="alert alert-info">No entries found</div>';
+            }
+            return;
+        }
+
+        const grid = this.settings.entryView === 'grid';
+        const columns = grid ? Math.max(1, Math.floor(entriesList.clientWidth / GRID_TILE_WIDTH)) : 1;
+        const rowHeight = grid ? GRID_ROW_HEIGHT : ENTRY_ROW_HEIGHT;
+        const layout = grid ? `grid-${columns}` : 'list';
+
+        let spacer = entriesList.querySelector('.entries-spacer');
+        if (!spacer || state.layout !== layout) {
+            spacer = createElement('div', { className: 'entries-spacer' });
+            this.unobserveThumbnails(entriesList);
+            entriesList.replaceChildren(spacer);
+            state.rows.clear();
+            state.layout = layout;
+        }
+        const rowCount = Math.ceil(state.entries.length / columns);
+        spacer.style.height = `${rowCount * rowHeight}px`;
+
+        const first = Math.max(0, Math.floor(entriesList.scrollTop / rowHeight) - ENTRY_ROW_OVERSCAN);
+        const last = Math.min(rowCount,
+            Math.ceil((entriesList.scrollTop + entriesList.clientHeight) / rowHeight) + ENTRY_ROW_OVERSCAN);
+        const rowEntries = (index) => state.entries.slice(index * columns, (index + 1) * columns);
+
+        // The last grid row is made again when a new page fills it up
+        state.rows.forEach((row, index) => {
+            if (index >= first && index < last && row.count === rowEntries(index).length) return;
+            this.unobserveThumbnails(row.element);
+            row.element.remove();
+            state.rows.delete(index);
+        });
+        for (let index = first; index < last; index++) {
+            if (state.rows.has(index)) continue;
+            const entries = rowEntries(index);
+            const element = grid
+                ? createElement('div', { className: 'entry-grid-row' }, entries.map(entry => this.createEntryTile(entry)))
+                : this.createEntryRow(entries[0], state.snippets.get(entries[0].id));
+            element.style.top = `${index * rowHeight}px`;
+            if (grid) element.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+            spacer.appendChild(element);
+            state.rows.set(index, { element, count: entries.length });
+            this.observeThumbnails(element);
+        }
+
+        if (!state.done && last >= rowCount) {
+            this.loadNextPage(state).catch(error => {
+                console.error('Error loading entries:', error);
+                this.showToast('Error', 'Failed to load more entries', 'danger');
+            });
+        }
+    }
+
+    createEntryTile(entry) {
+        const button = (className, title, icon) => createElement('button', {
+            className: `btn btn-sm ${className}`,
+            attrs: { type: 'button', title, 'data-id': entry.id }
+        }, [createElement('i', { className: `bi ${icon}` })]);
+
+        const checkbox = createElement('input', {
+            className: 'form-check-input entry-select',
+            attrs: { type: 'checkbox', 'aria-label': 'Select entry', 'data-id': entry.id }
+        });
+        checkbox.checked = this.selectedIds.has(entry.id);
+
+        const dueStatus = this.getEntryDueStatus(entry);
+        return createElement('div', { className: `entry-tile${checkbox.checked ? ' selected' : ''}${dueStatus ? ` entry-${dueStatus}` : ''}` }, [
+            checkbox,
+            createElement('button', {
+                className: 'entry-tile-preview preview-btn',
+                attrs: { type: 'button', title: 'Preview', 'data-id': entry.id }
+            }, [this.getFileThumbnail(entry)]),
+            createElement('div', { className: 'd-flex align-items-center gap-1 px-2 py-1' }, [
+                createElement('div', { className: 'flex-grow-1 small fw-semibold text-truncate', text: entry.title, attrs: { title: entry.title } }),
+                button('btn-outline-secondary edit-btn', 'Edit', 'bi-pencil'),
+                button('btn-outline-danger delete-btn', 'Delete', 'bi-trash')
+            ])
+        ]);
+    }
+
+    createEntryRow(entry, snippet) {
+        const entryDate = new Date(entry.date);
+        const formattedDate = entryDate.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        const entryElement = document.createElement('div');
+        const dueStatus = this.getEntryDueStatus(entry);
+        entryElement.className = `list-group-item entry-item entry-row${dueStatus ? ` entry-${dueStatus}` : ''}`;
+        // Static markup only; every entry field is filled in through the DOM below
+        entryElement.innerHTML = `
+            <div class="d-flex align-items-center h-100">
+                <input class="form-check-input flex-shrink-0 me-3 mt-0 entry-select" type="checkbox" aria-label="Select entry">
+                <div class="flex-shrink-0 me-3 entry-thumbnail-slot"></div>
+                <div class="flex-grow-1 overflow-hidden">
+                    <h6 class="mb-1 entry-title text-truncate"></h6>
+                    <small class="d-block text-muted text-truncate entry-date"></small>
+                </div>
+                <div class="flex-shrink-0">
+                    <button class="btn btn-sm btn-outline-primary preview-btn" title="Preview">
+                        <i class="bi bi-eye"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary edit-btn" title="Edit">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger delete-btn" title="Delete">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+
+        entryElement.querySelector('.entry-thumbnail-slot').appendChild(this.getFileThumbnail(entry));
+        entryElement.querySelector('.entry-title').textContent = entry.title;
+        const edited = entry.updatedAt && entry.updatedAt !== entry.createdAt
+            ? ` · edited ${new Date(entry.updatedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`
+            : '';
+        const fieldSummary = this.formatCustomFields(entry);
+        entryElement.querySelector('.entry-date').textContent = formattedDate + edited + (fieldSummary ? ` · ${fieldSummary}` : '');
+        entryElement.querySelectorAll('button, .entry-select').forEach(element => { element.dataset.id = entry.id; });
+        entryElement.querySelector('.entry-select').checked = this.selectedIds.has(entry.id);
+        entryElement.classList.toggle('selected', this.selectedIds.has(entry.id));
+
+        // Rows have a fixed height, so the search snippet takes the place of the description
+        const details = entryElement.querySelector('.entry-date').parentElement;
+        if (snippet) {
+            // buildSnippet() escapes the file text itself and only adds <mark> tags
+            const snippetElement = createElement('p', { className: 'mb-0 small text-muted text-truncate search-snippet' });
+            snippetElement.innerHTML = snippet;
+            details.appendChild(snippetElement);
+        } else if (entry.description) {
+            details.appendChild(createElement('p', { className: 'mb-0 small text-truncate', text: entry.description }));
+        }
+        if (entry.tags && entry.tags.length > 0) {
+            details.appendChild(createElement('div', { className: 'entry-tags' },
+                entry.tags.map(tag => this.createTagBadge(tag))));
+        }
+        return entryElement;
+    }
+
+    // A generated thumbnail for images, videos and PDFs, loaded once it scrolls into view
+    getFileThumbnail(entry) {
+        if (entry.type !== 'image' && entry.type !== 'video' && entry.fileType !== 'pdf') {
+            return this.getFileIcon(entry);
+        }
+
+        const img = createElement('img', {
+            className: 'entry-thumbnail',
+            attrs: { 'data-thumbnail-id': entry.id, 'data-type': entry.type, 'data-file-type': entry.fileType, alt: entry.title }
+        });
+        return entry.type === 'video'
+            ? createElement('div', { className: 'video-thumbnail d-inline-block' }, [img])
+            : img;
+    }
+
+    getFileIcon(entry) {
+        if (entry.type === 'video') {
+            return createElement('div', {
+                className: 'video-thumbnail entry-thumbnail bg-secondary d-flex align-items-center justify-content-center'
+            }, [createElement('i', { className: 'bi bi-film text-white' })]);
+        }
+
+        const iconClass = FILE_TYPES[entry.fileType] ? FILE_TYPES[entry.fileType].icon : 'bi-file-earmark';
+        return createElement('div', { className: 'file-icon' }, [createElement('i', { className: `bi ${iconClass}` })]);
+    }
+
+    observeThumbnails(container) {
+        if (!this.thumbnailObserver) {
+            this.thumbnailObserver = new IntersectionObserver(entries => {
+                entries.forEach(({ isIntersecting, target }) => {
+                    if (!isIntersecting) return;
+                    this.thumbnailObserver.unobserve(target);
+                    const id = parseInt(target.dataset.thumbnailId);
+                    if (this.thumbnailURLs.has(id)) {
+                        target.src = safeURL(this.thumbnailURLs.get(id));
+                        return;
+                    }
+                    this.getThumbnail(id).then(blob => {
+                        if (!target.isConnected) return;
+                        if (!blob) {
+                            const icon = this.getFileIcon({ type: target.dataset.type, fileType: target.dataset.fileType });
+                            (target.closest('.video-thumbnail') || target).replaceWith(icon);
+                            return;
+                        }
+                        const url = this.thumbnailURLs.get(id) || URL.createObjectURL(blob);
+                        this.thumbnailURLs.set(id, url);
+                        target.src = safeURL(url);
+                    }).catch(error => console.error('Error loading thumbnail:', error));
+                });
+            });
+        }
+
+        container.querySelectorAll('img[data-thumbnail-id]').forEach(img => this.thumbnailObserver.observe(img));
+    }
+
+    unobserveThumbnails(container) {
+        if (!this.thumbnailObserver) return;
+        container.querySelectorAll('img[data-thumbnail-id]').forEach(img => this.thumbnailObserver.unobserve(img));
+    }
+
+    // The entry's thumbnail, made on first use for entries stored before
+    // thumbnails existed. null for file types without one.
+    async getThumbnail(id) {
+        const record = await this.storage.get(THUMBNAILS_STORE, id);
+        if (record) return this.vault.openBlob(record.blob);
+
+        // One at a time, so scrolling past many old entries does not decode all their files at once
+        const task = this.thumbnailQueue.then(async () => {
+            const entry = await this.getEntryById(id);
+            const file = entry && await this.getFile(id);
+            return file ? this.saveThumbnail(id, file, entry) : null;
+        });
+        this.thumbnailQueue = task.catch(() => {});
+        return task;
+    }
+
+    async saveThumbnail(id, file, entry) {
+        let blob = null;
+        try {
+            blob = await createThumbnail(file, entry);
+        } catch (error) {
+            // Still record that there is none so it is not retried on every load
+            console.warn(`Could not make a thumbnail for entry ${id}:`, error);
+        }
+        try {
+            await this.storage.put(THUMBNAILS_STORE, { blob: await this.vault.sealBlob(blob) }, id);
+        } catch (error) {
+            // The entry is saved already; without a stored thumbnail it is just made again later
+            console.warn(`Could not store the thumbnail for entry ${id}:`, error);
+        }
+        return blob;
+    }
+
+    releaseThumbnailURLs() {
+        this.thumbnailURLs.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailURLs.clear();
+    }
+
+    // Object URLs made here are revoked when the preview modal closes
+    createPreviewURL(blob) {
+        const url = URL.createObjectURL(blob);
+        this.previewURLs.push(url);
+        return url;
+    }
+
+    releasePreviewURLs() {
+        this.previewURLs.forEach(url => URL.revokeObjectURL(url));
+        this.previewURLs = [];
+    }
+
+    async previewEntry(id) {
+        this.isPreviewLoading = true;
+        try {
+            const entry = await this.getEntryById(id);
+            if (!entry) {
+                this.showToast('Error', 'Entry not found', 'danger');
+                return;
+            }
+
+            this.releasePreviewURLs();
+            const file = await this.getFile(entry.id);
+            if (!file) {
+                throw new Error(`File for entry ${entry.id} not found`);
+            }
+            const fileURL = this.createPreviewURL(file);
+
+            document.getElementById('previewModalTitle').textContent = entry.title;
+            const previewContent = document.getElementById('previewModalContent');
+            previewContent.innerHTML = '';
+
+            const previewModalElement = document.getElementById('previewModal');
+            const previewModal = bootstrap.Modal.getOrCreateInstance(previewModalElement);
+
+            // Images and videos open as a lightbox: large, on a dark background
+            const isMedia = entry.type === 'image' || entry.type === 'video';
+            previewModalElement.classList.toggle('lightbox', isMedia);
+            previewModalElement.querySelector('.modal-dialog').classList.toggle('modal-xl', isMedia);
+            this.previewZoom = null;
+
+            await this.renderPreview(entry, file, fileURL, previewContent);
+
+            // Set up download button
+            const downloadBtn = document.getElementById('downloadBtn');
+            downloadBtn.onclick = () => {
+                this.downloadFile(entry);
+                previewModal.hide();
+            };
+
+            this.previewEntryId = entry.id;
+            this.renderPreviewNav();
+            this.renderVersionHistory(entry);
+            previewModal.show();
+            this.scheduleSlide();
+        } catch (error) {
+            console.error('Error previewing entry:', error);
+            this.stopSlideshow();
+            this.showToast('Error', 'Failed to preview entry', 'danger');
+        } finally {
+            this.isPreviewLoading = false;
+        }
+    }
+
+    // Show a file with the preview handler its type names in FILE_TYPES
+    async renderPreview(entry, file, fileURL, container) {
+        const handlers = {
+            image: () => {
+                const image = createElement('img', { className: 'lightbox-image', attrs: { src: fileURL, alt: entry.title } });
+                const stage = createElement('div', { className: 'lightbox-stage', attrs: { title: 'Scroll or double-click to zoom' } }, [image]);
+                container.appendChild(stage);
+                this.previewZoom = attachZoomPan(stage, image);
+            },
+            video: () => {
+                container.appendChild(createElement('video', { className: 'lightbox-video', attrs: { controls: '' } }, [
+                    createElement('source', { attrs: { src: fileURL, type: entry.mimeType } }),
+                    document.createTextNode('Your browser does not support the video tag.')
+                ]));
+            },
+            audio: () => {
+                container.appendChild(createElement('div', { className: 'py-4' }, [
+                    createElement('div', { className: 'file-icon mb-3' }, [this.getFileIcon(entry)]),
+                    createElement('audio', { className: 'w-100', attrs: { controls: '', src: fileURL } })
+                ]));
+            },
+            text: () => this.renderTextPreview(file, container),
+            csv: () => this.renderCsvPreview(file, container),
+            pdf: () => this.renderPdfPreview(file, container),
+            docx: async () => {
+                container.appendChild(await renderDocx(await file.arrayBuffer(), blob => this.createPreviewURL(blob)));
+            },
+            xlsx: () => this.renderXlsxPreview(file, container),
+            pptx: () => this.renderPptxPreview(file, container)
+        };
+
+        const fileType = FILE_TYPES[entry.fileType];
+        const handler = fileType && handlers[fileType.preview];
+        if (!handler) {
+            this.renderPreviewFallback(entry, fileURL, container);
+            return;
+        }
+        try {
+            await handler();
+        } catch (error) {
+            console.error(`Error previewing ${entry.fileType.toUpperCase()}:`, error);
+            this.renderPreviewFallback(entry, fileURL, container);
+        }
+    }
+
+    // A table of rows of text; the first row is the header. Long tables are cut
+    // off at PREVIEW_MAX_ROWS with a note saying so.
+    createPreviewTable(rows, truncated) {
+        const [header = [], ...body] = rows;
+        const width = Math.max(0, ...rows.map(row => row.length));
+        const cells = (row, tag) => Array.from({ length: width }, (_, i) => createElement(tag, { text: row[i] || '' }));
+
+        return createElement('div', { className: 'table-preview text-start' }, [
+            createElement('table', { className: 'table table-sm table-bordered table-striped mb-0' }, [
+                createElement('thead', {}, [createElement('tr', {}, cells(header, 'th'))]),
+                createElement('tbody', {}, body.map(row => createElement('tr', {}, cells(row, 'td'))))
+            ]),
+            truncated ? createElement('div', { className: 'small text-muted p-2', text: `Showing the first ${PREVIEW_MAX_ROWS} rows` }) : null
+        ]);
+    }
+
+    async renderCsvPreview(file, container) {
+        const rows = parseCsv(await file.text(), PREVIEW_MAX_ROWS + 1);
+        container.appendChild(this.createPreviewTable(rows.slice(0, PREVIEW_MAX_ROWS), rows.length > PREVIEW_MAX_ROWS));
+    }
+
+    async renderXlsxPreview(file, container) {
+        const sheets = await readXlsx(await file.arrayBuffer(), PREVIEW_MAX_ROWS + 1);
+        const table = createElement('div');
+        const showSheet = (sheet) => {
+            table.replaceChildren(this.createPreviewTable(sheet.rows.slice(0, PREVIEW_MAX_ROWS), sheet.rows.length > PREVIEW_MAX_ROWS));
+        };
+
+        if (sheets.length > 1) {
+            const tabs = sheets.map((sheet, i) => {
+                const tab = createElement('button', {
+                    className: `btn btn-outline-secondary${i === 0 ? ' active' : ''}`,
+                    text: sheet.name,
+                    attrs: { type: 'button' }
+                });
+                tab.addEventListener('click', () => {
+                    tabs.forEach(other => other.classList.toggle('active', other === tab));
+                    showSheet(sheet);
+                });
+                return tab;
+            });
+            container.appendChild(createElement('div', { className: 'btn-group btn-group-sm flex-wrap mb-2' }, tabs));
+        }
+        container.appendChild(table);
+        if (sheets.length > 0) {
+            showSheet(sheets[0]);
+        }
+    }
+
+    async renderPptxPreview(file, container) {
+        const slides = await readPptxSlides(await file.arrayBuffer());
+        container.appendChild(createElement('div', { className: 'slides-preview text-start' }, slides.map((paragraphs, i) => (
+            createElement('div', { className: 'card mb-2' }, [
+                createElement('div', { className: 'card-header small text-muted', text: `Slide ${i + 1}` }),
+                createElement('div', { className: 'card-body' }, paragraphs.length > 0
+                    ? paragraphs.map(text => createElement('p', { className: 'mb-1', text }))
+                    : [createElement('p', { className: 'mb-0 text-muted', text: 'No text on this slide' })])
+            ])
+        ))));
+    }
+
+    // Position of the previewed entry in the entry list, or -1 when it is not in it
+    getPreviewIndex() {
+        const state = this.listState;
+        return state ? state.entries.findIndex(entry => entry.id === this.previewEntryId) : -1;
+    }
+
+    renderPreviewNav() {
+        const state = this.listState;
+        const index = this.getPreviewIndex();
+        document.getElementById('previewNav').classList.toggle('d-none', index === -1);
+        if (index === -1) {
+            this.stopSlideshow();
+            return;
+        }
+
+        // More entries may follow once the next page is read
+        document.getElementById('previewPosition').textContent = `${index + 1} of ${state.entries.length}${state.done ? '' : '+'}`;
+        document.getElementById('previewPrevBtn').disabled = index === 0;
+        document.getElementById('previewNextBtn').disabled = state.done && index === state.entries.length - 1;
+    }
+
+    // Preview the next (step 1) or previous (step -1) entry of the filtered list
+    async showAdjacentPreview(step) {
+        const state = this.listState;
+        const current = this.getPreviewIndex();
+        if (current === -1 || this.isPreviewLoading) return;
+
+        const index = current + step;
+        if (index >= state.entries.length && !state.done) {
+            try {
+                await this.loadNextPage(state);
+            } catch (error) {
+                console.error('Error loading entries:', error);
+            }
+        }
+        if (index < 0 || index >= state.entries.length) {
+            this.stopSlideshow();
+            return;
+        }
+        await this.previewEntry(state.entries[index].id);
+    }
+
+    toggleSlideshow() {
+        this.slideshow = !this.slideshow;
+        this.renderSlideshowButton();
+        if (this.slideshow) {
+            this.scheduleSlide();
+        } else {
+            clearTimeout(this.slideshowTimer);
+        }
+    }
+
+    stopSlideshow() {
+        if (!this.slideshow) return;
+        this.slideshow = false;
+        clearTimeout(this.slideshowTimer);
+        this.renderSlideshowButton();
+    }
+
+    renderSlideshowButton() {
+        const button = document.getElementById('slideshowBtn');
+        button.title = this.slideshow ? 'Pause slideshow' : 'Start slideshow';
+        button.querySelector('i').className = `bi ${this.slideshow ? 'bi-pause-fill' : 'bi-play-fill'}`;
+        button.classList.toggle('active', this.slideshow);
+    }
+
+    // Move on after SLIDESHOW_INTERVAL, or once the previewed video has played
+    scheduleSlide() {
+        clearTimeout(this.slideshowTimer);
+        if (!this.slideshow) return;
+
+        const next = () => {
+            if (this.slideshow) this.showAdjacentPreview(1);
+        };
+        const video = document.querySelector('#previewModalContent video');
+        if (video) {
+            video.onended = next;
+            // Autoplay can be refused; fall back to the timer
+            video.play().catch(() => {
+                this.slideshowTimer = setTimeout(next, SLIDESHOW_INTERVAL);
+            });
+        } else {
+            this.slideshowTimer = setTimeout(next, SLIDESHOW_INTERVAL);
+        }
+    }
+
+    handlePreviewKeys(e) {
+        if (e.target.closest('input, textarea, select')) return;
+        const actions = {
+            ArrowLeft: () => this.showAdjacentPreview(-1),
+            ArrowRight: () => this.showAdjacentPreview(1),
+            '+': () => this.previewZoom && this.previewZoom.zoomBy(1.25),
+            '=': () => this.previewZoom && this.previewZoom.zoomBy(1.25),
+            '-': () => this.previewZoom && this.previewZoom.zoomBy(0.8),
+            '0': () => this.previewZoom && this.previewZoom.reset()
+        };
+        if (!actions[e.key]) return;
+        e.preventDefault();
+        actions[e.key]();
+    }
+
+    renderPreviewFallback(entry, fileURL, container) {
+        container.replaceChildren(createElement('div', { className: 'text-center py-4' }, [
+            createElement('div', { className: 'file-icon mb-3' }, [this.getFileIcon(entry)]),
+            createElement('p', { text: 'This file cannot be previewed in the browser.' }),
+            createElement('a', {
+                className: 'btn btn-primary',
+                attrs: { href: fileURL, download: entry.fileName }
+            }, [createElement('i', { className: 'bi bi-download' }), document.createTextNode(' Download File')])
+        ]));
+    }
+
+    async renderTextPreview(file, container) {
+        const text = await file.text();
+        container.innerHTML = `
+            <div class="d-flex justify-content-end gap-3 mb-2 small">
+                <div class="form-check form-switch mb-0">
+                    <input class="form-check-input" type="checkbox" id="textPreviewMonospace" ${this.textPreviewOptions.monospace ? 'checked' : ''}>
+                    <label class="form-check-label" for="textPreviewMonospace">Monospace</label>
+                </div>
+                <div class="form-check form-switch mb-0">
+                    <input class="form-check-input" type="checkbox" id="textPreviewWrap" ${this.textPreviewOptions.wrap ? 'checked' : ''}>
+                    <label class="form-check-label" for="textPreviewWrap">Wrap lines</label>
+                </div>
+            </div>
+            <pre class="text-preview text-start"></pre>
+        `;
+
+        const pre = container.querySelector('.text-preview');
+        pre.textContent = text;
+        const applyOptions = () => {
+            pre.classList.toggle('monospace', this.textPreviewOptions.monospace);
+            pre.classList.toggle('wrap', this.textPreviewOptions.wrap);
+        };
+        applyOptions();
+
+        container.querySelector('#textPreviewMonospace').addEventListener('change', (e) => {
+            this.textPreviewOptions.monospace = e.target.checked;
+            applyOptions();
+        });
+        container.querySelector('#textPreviewWrap').addEventListener('change', (e) => {
+            this.textPreviewOptions.wrap = e.target.checked;
+            applyOptions();
+        });
+    }
+
+    // Show the PDF in the browser's built-in viewer, with our own page controls
+    // driving it through the #page= URL fragment. Files from sync, a storage
+    // server or an import may claim to be a PDF, so only real PDF bytes are
+    // shown, always typed as a PDF, in a frame without this origin.
+    async renderPdfPreview(file, container) {
+        if (await detectFileType(file) !== 'pdf') {
+            throw new Error('File content is not a PDF');
+        }
+        const fileURL = this.createPreviewURL(new Blob([file], { type: 'application/pdf' }));
+        const pageCount = countPdfPages(await file.arrayBuffer());
+        let page = 1;
+
+        container.innerHTML = `
+            <div class="d-flex justify-content-center align-items-center gap-2 mb-2">
+                <button type="button" class="btn btn-sm btn-outline-secondary pdf-prev" title="Previous page"><i class="bi bi-chevron-left"></i></button>
+                <span class="small">Page <input type="number" class="form-control form-control-sm d-inline-block pdf-page-input" min="1" value="1"> ${pageCount ? `of ${pageCount}` : ''}</span>
+                <button type="button" class="btn btn-sm btn-outline-secondary pdf-next" title="Next page"><i class="bi bi-chevron-right"></i></button>
+            </div>
+            <div class="pdf-frame-container"></div>
+        `;
+
+        const frameContainer = container.querySelector('.pdf-frame-container');
+        const pageInput = container.querySelector('.pdf-page-input');
+        const prevBtn = container.querySelector('.pdf-prev');
+        const nextBtn = container.querySelector('.pdf-next');
+        if (pageCount) pageInput.max = pageCount;
+
+        const showPage = (target) => {
+            page = Math.max(1, pageCount ? Math.min(target, pageCount) : target);
+            pageInput.value = page;
+            prevBtn.disabled = page <= 1;
+            nextBtn.disabled = pageCount > 0 && page >= pageCount;
+            // Viewers only honour the fragment on load, so the frame is replaced
+            const frame = document.createElement('iframe');
+            frame.className = 'pdf-preview';
+            frame.title = 'PDF preview';
+            frame.setAttribute('sandbox', 'allow-scripts');
+            frame.src = safeURL(`${fileURL}#page=${page}`);
+            frameContainer.replaceChildren(frame);
+        };
+
+        prevBtn.addEventListener('click', () => showPage(page - 1));
+        nextBtn.addEventListener('click', () => showPage(page + 1));
+        pageInput.addEventListener('change', () => showPage(parseInt(pageInput.value) || 1));
+        showPage(1);
+    }
+
+    async downloadFile(entry) {
+        try {
+            const blob = await this.getFile(entry.id);
+            if (!blob) {
+                this.showToast('Error', 'File not found', 'danger');
+                return;
+            }
+
+            this.downloadBlob(blob, entry.fileName || `download.${entry.fileType}`);
+            this.showToast('Success', 'Download started', 'success');
+        } catch (error) {
+            console.error('Error downloading file:', error);
+            this.showToast('Error', 'Failed to download file', 'danger');
+        }
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = safeURL(url);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async renderVersionHistory(entry) {
+        const historyEl = document.getElementById('previewHistory');
+        historyEl.innerHTML = '';
+
+        try {
+            const versions = await this.getVersions(entry.id);
+            if (versions.length === 0) {
+                historyEl.innerHTML = '<small class="text-muted"><i class="bi bi-clock-history"></i> No earlier versions</small>';
+                return;
+            }
+
+            const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+
+            historyEl.innerHTML = `
+                <h6 class="mb-2"><i class="bi bi-clock-history"></i> History (${versions.length})</h6>
+                <div class="list-group list-group-flush version-list">
+                    ${versions.slice().reverse().map(version => `
+                        <div class="list-group-item px-0 d-flex align-items-center gap-2">
+                            <div class="flex-grow-1 small">
+                                <div class="fw-semibold">${escapeHTML(version.entry.title)}</div>
+                                <div class="text-muted">
+                                    Replaced ${formatDate(version.savedAt)} &middot; ${escapeHTML(version.entry.fileName)}
+                                    ${version.file ? '&middot; file changed' : ''}
+                                </div>
+                            </div>
+                            ${version.entry.fileType === 'txt' && entry.fileType === 'txt' ? `
+                                <button class="btn btn-sm btn-outline-secondary version-diff-btn" data-version-id="${version.versionId}" title="Compare with current">
+                                    <i class="bi bi-file-diff"></i>
+                                </button>` : ''}
+                            <button class="btn btn-sm btn-outline-secondary version-download-btn" data-version-id="${version.versionId}" title="Download">
+                                <i class="bi bi-download"></i>
+                            </button>
+                            <button class="btn btn-sm btn-outline-primary version-restore-btn" data-version-id="${version.versionId}" title="Restore">
+                                <i class="bi bi-arrow-counterclockwise"></i>
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+                <div id="versionDiff" class="mt-2"></div>
+            `;
+
+            const findVersion = (btn) => versions.find(version => version.versionId === parseInt(btn.dataset.versionId));
+
+            historyEl.querySelectorAll('.version-restore-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.restoreVersion(findVersion(btn), versions));
+            });
+
+            historyEl.querySelectorAll('.version-download-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const version = findVersion(btn);
+                    try {
+                        const blob = await this.getVersionFile(version, versions);
+                        this.downloadBlob(blob, version.entry.fileName || `download.${version.entry.fileType}`);
+                        this.showToast('Success', 'Download started', 'success');
+                    } catch (error) {
+                        console.error('Error downloading version:', error);
+                        this.showToast('Error', 'Failed to download version', 'danger');
+                    }
+                });
+            });
+
+            historyEl.querySelectorAll('.version-diff-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.showVersionDiff(entry, findVersion(btn), versions));
+            });
+        } catch (error) {
+            console.error('Error loading version history:', error);
+            historyEl.innerHTML = '<small class="text-danger">Failed to load version history</small>';
+        }
+    }
+
+    async showVersionDiff(entry, version, versions) {
+        const diffEl = document.getElementById('versionDiff');
+
+        try {
+            const [oldText, newText] = await Promise.all([
+                this.getVersionFile(version, versions).then(blob => blob.text()),
+                this.getFile(entry.id).then(blob => blob.text())
+            ]);
+            const lines = diffLines(oldText, newText);
+
+            if (!lines.some(line => line.type !== 'same')) {
+                diffEl.innerHTML = '<small class="text-muted">The file content is identical to the current version.</small>';
+                return;
+            }
+
+            // Collapse long unchanged stretches, keeping a few lines of context around changes
+            const context = 2;
+            const rows = [];
+            let skipped = 0;
+            lines.forEach((line, i) => {
+                const nearChange = lines.slice(Math.max(0, i - context), i + context + 1).some(near => near.type !== 'same');
+                if (line.type === 'same' && !nearChange) {
+                    skipped++;
+                    return;
+                }
+                if (skipped > 0) {
+                    rows.push(`<div class="diff-skip">&hellip; ${skipped} unchanged ${skipped === 1 ? 'line' : 'lines'}</div>`);
+                    skipped = 0;
+                }
+                const prefix = { same: ' ', added: '+', removed: '-' }[line.type];
+                rows.push(`<div class="diff-${line.type}">${prefix} ${escapeHTML(line.line)}</div>`);
+            });
+            if (skipped > 0) {
+                rows.push(`<div class="diff-skip">&hellip; ${skipped} unchanged ${skipped === 1 ? 'line' : 'lines'}</div>`);
+            }
+
+            diffEl.innerHTML = `<pre class="version-diff mb-0">${rows.join('')}</pre>`;
+        } catch (error) {
+            console.error('Error comparing versions:', error);
+            diffEl.innerHTML = '<small class="text-danger">Failed to compare versions</small>';
+        }
+    }
+
+    async restoreVersion(version, versions) {
+        try {
+            const current = await this.getEntryById(version.entryId);
+            if (!current) {
+                this.showToast('Error', 'Entry not found', 'danger');
+                return;
+            }
+
+            // Only write the file back when it differs from the current one
+            const laterFileChange = versions.some(other => other.versionId >= version.versionId && other.file);
+            const file = laterFileChange ? await this.getVersionFile(version, versions) : null;
+
+            // Restoring is itself an update, so the current state becomes a new version.
+            // The entry keeps its original upload date.
+            await this.updateEntry({
+                ...version.entry,
+                id: current.id,
+                date: current.date,
+                createdAt: current.createdAt,
+                updatedAt: new Date().toISOString()
+            }, file);
+            if (file) {
+                await this.indexEntryContent(current.id, file, version.entry.fileType);
+            }
+
+            this.showToast('Success', 'Version restored', 'success');
+            this.loadEntries();
+            this.loadTags();
+            this.renderCalendar();
+            this.previewEntry(current.id);
+        } catch (error) {
+            console.error('Error restoring version:', error);
+            this.showToast('Error', this.getStorageErrorMessage(error, 'Failed to restore version'), 'danger');
+        }
+    }
+
+    async editEntry(id) {
+        try {
+            const entry = await this.getEntryById(id);
+            if (!entry) {
+                this.showToast('Error', 'Entry not found', 'danger');
+                return;
+            }
+
+            this.currentEntryId = id;
+            
+            // Fill the form with entry data
+            document.getElementById('titleInput').value = entry.title;
+            document.getElementById('descriptionInput').value = entry.description || '';
+            document.getElementById('tagsInput').value = entry.tags ? entry.tags.join(', ') : '';
+            this.renderCustomFieldInputs(entry.fields);
+            
+            // Show the upload modal (we'll use it for editing too)
+            const uploadModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('uploadModal'));
+            uploadModal.show();
+            
+            // Change the modal title and button text
+            document.getElementById('uploadModalLabel').textContent = 'Edit Entry';
+            document.getElementById('uploadBtn').textContent = 'Save Changes';
+            
+            // The file input stays empty; choosing a file is only needed to replace it
+            const fileInput = document.getElementById('fileInput');
+            fileInput.value = '';
+            fileInput.multiple = false;
+            fileInput.required = false;
+            const currentFileHint = document.getElementById('currentFileHint');
+            currentFileHint.textContent = `Current file: ${entry.fileName}. Leave empty to keep it.`;
+            currentFileHint.classList.remove('d-none');
+        } catch (error) {
+            console.error('Error editing entry:', error);
+            this.showToast('Error', 'Failed to edit entry', 'danger');
+        }
+    }
+
+    // Move an entry to the trash; removeEntry() is the permanent delete
+    async deleteEntry(id) {
+        try {
+            await this.setEntriesDeleted([id], new Date().toISOString());
+            this.showToast('Success', 'Entry moved to trash', 'success', {
+                label: 'Undo',
+                onClick: () => this.restoreEntry(id)
+            });
+            this.refreshAfterTrashChange();
+        } catch (error) {
+            console.error('Error deleting entry:', error);
+            this.showToast('Error', 'Failed to delete entry', 'danger');
+        }
+    }
+
+    async restoreEntry(id) {
+        try {
+            await this.setEntriesDeleted([id], null);
+            this.showToast('Success', 'Entry restored', 'success');
+            this.refreshAfterTrashChange();
+        } catch (error) {
+            console.error('Error restoring entry:', error);
+            this.showToast('Error', 'Failed to restore entry', 'danger');
+        }
+    }
+
+    async deleteEntryPermanently(id) {
+        if (!confirm('Delete this entry permanently? This cannot be undone.')) return;
+
+        try {
+            await this.removeEntry(id);
+            this.showToast('Success', 'Entry deleted permanently', 'success');
+            this.renderTrash();
+        } catch (error) {
+            console.error('Error deleting entry:', error);
+            this.showToast('Error', 'Failed to delete entry', 'danger');
+        }
+    }
+
+    async emptyTrash() {
+        const trashed = (await this.getAllEntries()).filter(entry => entry.deletedAt);
+        if (trashed.length === 0) return;
+        if (!confirm(`Delete ${trashed.length} ${trashed.length === 1 ? 'entry' : 'entries'} permanently? This cannot be undone.`)) return;
+
+        try {
+            for (const entry of trashed) {
+                await this.removeEntry(entry.id);
+            }
+            this.showToast('Success', 'Trash emptied', 'success');
+            this.renderTrash();
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            this.showToast('Error', 'Failed to empty trash', 'danger');
+        }
+    }
+
+    // Set or clear deletedAt on the entries in one transaction. This is not an
+    // edit, so no version is recorded. Returns the number of entries changed.
+    async setEntriesDeleted(ids, deletedAt) {
+        const time = new Date().toISOString();
+        const count = await this.storage.transaction([STORE_NAME, CHANGES_STORE], async (tx) => {
+            let changed = 0;
+            for (const id of ids) {
+                const entry = await tx.get(STORE_NAME, parseInt(id));
+                if (!entry) {
+                    throw new Error(`Entry ${id} not found`);
+                }
+                if (!!entry.deletedAt === !!deletedAt) continue;
+
+                const updated = { ...entry };
+                if (deletedAt) {
+                    updated.deletedAt = deletedAt;
+                } else {
+                    delete updated.deletedAt;
+                }
+                stampFieldTimes(updated, entry, time);
+                await tx.put(STORE_NAME, updated);
+                await this.logChange(tx, updated.uid, 'put', false);
+                changed++;
+            }
+            return changed;
+        });
+        this.afterLocalChange();
+        return count;
+    }
+
+    // Apply change(entry) to each entry in one transaction, keeping a version of
+    // every entry it changes. change returns the updated entry, or null to leave
+    // it as it is. Returns the number of entries changed.
+    async updateEntries(ids, change) {
+        const time = new Date().toISOString();
+        const stores = [STORE_NAME, VERSIONS_STORE, CHANGES_STORE];
+        const count = await this.storage.transaction(stores, async (tx) => {
+            let changed = 0;
+            for (const id of ids) {
+                const entry = await tx.get(STORE_NAME, id);
+                const updated = entry && change(entry);
+                if (!updated) continue;
+
+                updated.updatedAt = time;
+                stampFieldTimes(updated, entry, time);
+                await tx.add(VERSIONS_STORE, { entryId: id, savedAt: time, entry });
+                await tx.put(STORE_NAME, updated);
+                await this.logChange(tx, updated.uid, 'put', false);
+                changed++;
+            }
+            return changed;
+        });
+        this.afterLocalChange();
+        return count;
+    }
+
+    refreshAfterTrashChange() {
+        this.loadEntries();
+        this.loadTags();
+        this.renderCalendar();
+        if (document.getElementById('trashModal').classList.contains('show')) {
+            this.renderTrash();
+        }
+        if (document.getElementById('duplicatesModal').classList.contains('show')) {
+            this.renderDuplicates();
+        }
+    }
+
+    // Permanently delete entries that have been in the trash longer than the retention period
+    async purgeExpiredTrash() {
+        try {
+            const cutoff = Date.now() - this.settings.trashRetentionDays * 24 * 60 * 60 * 1000;
+            const expired = (await this.getAllEntries())
+                .filter(entry => entry.deletedAt && new Date(entry.deletedAt).getTime() < cutoff);
+            for (const entry of expired) {
+                await this.removeEntry(entry.id);
+            }
+            if (expired.length > 0 && document.getElementById('trashModal').classList.contains('show')) {
+                this.renderTrash();
+            }
+        } catch (error) {
+            console.error('Error purging trash:', error);
+        }
+    }
+
+    async renderTrash() {
+        const trashList = document.getElementById('trashList');
+        document.getElementById('trashRetentionInput').value = this.settings.trashRetentionDays;
+
+        try {
+            const trashed = (await this.getAllEntries())
+                .filter(entry => entry.deletedAt)
+                .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+            document.getElementById('emptyTrashBtn').disabled = trashed.length === 0;
+            if (trashed.length === 0) {
+                trashList.innerHTML = '<div class="alert alert-info mb-0">The trash is empty</div>';
+                return;
+            }
+
+            const dayMs = 24 * 60 * 60 * 1000;
+            this.unobserveThumbnails(trashList);
+            trashList.replaceChildren(...trashed.map(entry => {
+                const deletedAt = new Date(entry.deletedAt);
+                const daysLeft = Math.max(0, Math.ceil((deletedAt.getTime() + this.settings.trashRetentionDays * dayMs - Date.now()) / dayMs));
+                const restoreBtn = createElement('button', { className: 'btn btn-sm btn-outline-primary', attrs: { title: 'Restore' } },
+                    [createElement('i', { className: 'bi bi-arrow-counterclockwise' })]);
+                const deleteBtn = createElement('button', { className: 'btn btn-sm btn-outline-danger', attrs: { title: 'Delete permanently' } },
+                    [createElement('i', { className: 'bi bi-x-lg' })]);
+                restoreBtn.addEventListener('click', () => this.restoreEntry(entry.id));
+                deleteBtn.addEventListener('click', () => this.deleteEntryPermanently(entry.id));
+
+                return createElement('div', { className: 'list-group-item d-flex align-items-center gap-2' }, [
+                    createElement('div', { className: 'flex-shrink-0' }, [this.getFileThumbnail(entry)]),
+                    createElement('div', { className: 'flex-grow-1 small' }, [
+                        createElement('div', { className: 'fw-semibold', text: entry.title }),
+                        createElement('div', {
+                            className: 'text-muted',
+                            text: `Deleted ${deletedAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })} · ` +
+                                `removed in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}`
+                        })
+                    ]),
+                    restoreBtn,
+                    deleteBtn
+                ]);
+            }));
+            this.observeThumbnails(trashList);
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            trashList.innerHTML = '<div class="alert alert-danger mb-0">Failed to load trash</div>';
+        }
+    }
+
+    async handleUpload() {
+        if (this.currentEntryId) {
+            return this.saveEntryChanges();
+        }
+        return this.processUploadQueue();
+    }
+
+    // Edit mode: patch the metadata of an existing entry. The stored file and
+    // the original upload date are kept unless a replacement file is chosen.
+    async saveEntryChanges() {
+        const fileInput = document.getElementById('fileInput');
+        const titleInput = document.getElementById('titleInput');
+        const descriptionInput = document.getElementById('descriptionInput');
+        const tagsInput = document.getElementById('tagsInput');
+
+        if (!titleInput.value.trim()) {
+            this.showToast('Error', 'Please enter a title', 'danger');
+            titleInput.focus();
+            return;
+        }
+
+        if (fileInput.files && fileInput.files.length > 1) {
+            this.showToast('Error', 'Please select a single file to replace this entry', 'danger');
+            return;
+        }
+
+        const file = fileInput.files && fileInput.files.length === 1 ? fileInput.files[0] : null;
+        if (file) {
+            const validationError = this.validateFile(file) || await this.checkFileContent(file);
+            if (validationError) {
+                this.showToast('Error', validationError, 'danger');
+                return;
+            }
+        }
+
+        try {
+            const entry = await this.getEntryById(this.currentEntryId);
+            if (!entry) {
+                this.showToast('Error', 'Entry not found', 'danger');
+                return;
+            }
+
+            // Values of fields no longer in the schema are kept
+            const { fields, error: fieldError } = this.readCustomFieldInputs(entry.fields);
+            if (fieldError) {
+                this.showToast('Error', fieldError, 'danger');
+                return;
+            }
+
+            const updated = {
+                ...entry,
+                title: titleInput.value.trim(),
+                description: descriptionInput.value.trim(),
+                tags: this.parseTags(tagsInput.value),
+                fields,
+                updatedAt: new Date().toISOString()
+            };
+
+            let blob = null;
+            if (file) {
+                Object.assign(updated, this.getFileFields(file));
+                blob = new Blob([file], { type: updated.mimeType });
+            }
+
+            await this.updateEntry(updated, blob);
+            if (blob) {
+                await this.indexEntryContent(updated.id, blob, updated.fileType);
+                await this.saveThumbnail(updated.id, blob, updated);
+            }
+            this.showToast('Success', 'Entry updated successfully', 'success');
+
+            // Reset form and close modal
+            this.resetForm();
+            bootstrap.Modal.getInstance(document.getElementById('uploadModal')).hide();
+
+            // Refresh UI
             this.loadEntries();
             this.loadTags();
+            this.renderCalendar();
+        } catch (error) {
+            console.error('Error saving entry:', error);
+            this.showToast('Error', this.getStorageErrorMessage(error, 'Failed to save changes'), 'danger');
+        }
+    }
+
+    // Returns an error message, or null if the file may be uploaded under the file type policy
+    validateFile(file) {
+        const policy = this.settings.fileTypePolicy;
+        const fileType = getFileTypeKey(file);
+        if (!fileType || !policy.allowed.includes(fileType)) {
+            return 'File type not allowed';
+        }
+        const { category } = FILE_TYPES[fileType];
+        if (file.size > policy.maxSize[category]) {
+            return `File size exceeds the ${this.formatFileSize(policy.maxSize[category])} limit for ${FILE_CATEGORIES[category].toLowerCase()}`;
+        }
+        return null;
+    }
+
+    // Returns an error message, or null if the file's content matches its reported type
+    async checkFileContent(file) {
+        try {
+            const detectedType = await detectFileType(file);
+            const fileType = getFileTypeKey(file);
+            if (!detectedType) {
+                return 'File content is not an allowed type';
+            }
+            if (detectedType !== fileType && !(detectedType === 'txt' && FILE_TYPES[fileType].text)) {
+                return `File content does not match its type (looks like ${FILE_TYPES[detectedType].label})`;
+            }
+            return null;
+        } catch (error) {
+            console.error('Error checking file content:', error);
+            return 'Could not read file';
+        }
+    }
+
+    // Split a comma separated list, dropping repeats that differ only in case
+    parseTags(value) {
+        const tags = [];
+        (value || '').split(',').map(tag => tag.trim()).filter(tag => tag).forEach(tag => {
+            if (!tags.some(other => other.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+        });
+        return tags;
+    }
+
+    // Fields of an entry that describe its stored file
+    getFileFields(file) {
+        const fileType = getFileTypeKey(file);
+        return {
+            fileName: file.name,
+            fileType,
+            type: FILE_TYPES[fileType].category,
+            fileSize: file.size,
+            mimeType: file.type || FILE_TYPES[fileType].mimeTypes[0]
+        };
+    }
+
+    // `date` is the upload date used by the date index; it equals createdAt
+    buildEntry(file, { title, description, tags, fields }) {
+        const now = new Date().toISOString();
+        return {
+            title,
+            description,
+            tags,
+            fields,
+            ...this.getFileFields(file),
+            date: now,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    // "scan_2024-03-01_invoice.pdf" -> "Scan 2024 03 01 invoice"
+    getDefaultTitle(fileName) {
+        const base = fileName.replace(/\.[^.]+$/, '').replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim();
+        return base ? base.charAt(0).toUpperCase() + base.slice(1) : fileName;
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    }
+
+    // Replace the upload queue with the given files, checking each one up front
+    setUploadFiles(files) {
+        this.uploadQueue = Array.from(files).map((file, index) => {
+            const error = this.validateFile(file);
+            const item = {
+                id: index,
+                file,
+                title: this.getDefaultTitle(file.name),
+                status: error ? 'error' : 'pending',
+                progress: 0,
+                error
+            };
+
+            // The content check finishes in the background; uploading waits for it
+            item.contentCheck = error ? Promise.resolve(error) : this.checkFileContent(file).then(contentError => {
+                if (contentError && item.status === 'pending') {
+                    item.status = 'error';
+                    item.error = contentError;
+                    this.updateQueueItem(item);
+                }
+                return contentError;
+            });
+            return item;
+        });
+
+        // A single file keeps using the title field; several get a title each in the queue
+        const titleInput = document.getElementById('titleInput');
+        const isBatch = this.uploadQueue.length > 1;
+        document.getElementById('titleGroup').classList.toggle('d-none', isBatch);
+        if (this.uploadQueue.length === 1 && !titleInput.value.trim()) {
+            titleInput.value = this.uploadQueue[0].title;
+        }
+
+        this.renderUploadQueue();
+    }
+
+    renderUploadQueue() {
+        const queueEl = document.getElementById('uploadQueue');
+        const isBatch = this.uploadQueue.length > 1;
+        queueEl.classList.toggle('d-none', this.uploadQueue.length === 0);
+        queueEl.innerHTML = this.uploadQueue.map(item => `
+            <div class="list-group-item upload-queue-item" data-queue-id="${item.id}">
+                <div class="d-flex align-items-center gap-2">
+                    ${isBatch
+                        ? `<input type="text" class="form-control form-control-sm queue-title" value="${escapeHTML(item.title)}" aria-label="Title for ${escapeHTML(item.file.name)}">`
+                        : `<span class="flex-grow-1 text-truncate">${escapeHTML(item.file.name)}</span>`}
+                    <small class="text-muted text-nowrap">${this.formatFileSize(item.file.size)}</small>
+                    <button type="button" class="btn btn-sm btn-link text-danger p-0 remove-queue-item" title="Remove">
+                        <i class="bi bi-x-lg"></i>
+                    </button>
+                </div>
+                ${isBatch ? `<div class="small text-muted text-truncate">${escapeHTML(item.file.name)}</div>` : ''}
+                <div class="progress mt-1">
+                    <div class="progress-bar" role="progressbar"></div>
+                </div>
+                <div class="small queue-status"></div>
+                <div class="queue-duplicate"></div>
+            </div>
+        `).join('');
+
+        queueEl.querySelectorAll('.upload-queue-item').forEach(row => {
+            const item = this.uploadQueue.find(queued => queued.id === parseInt(row.dataset.queueId));
+            const titleField = row.querySelector('.queue-title');
+            if (titleField) {
+                titleField.addEventListener('input', () => { item.title = titleField.value; });
+            }
+            row.querySelector('.remove-queue-item').addEventListener('click', () => {
+                this.uploadQueue = this.uploadQueue.filter(queued => queued !== item);
+                if (this.uploadQueue.length === 0) {
+                    document.getElementById('fileInput').value = '';
+                }
+                document.getElementById('titleGroup').classList.toggle('d-none', this.uploadQueue.length > 1);
+                this.renderUploadQueue();
+            });
+            this.updateQueueItem(item);
         });
     }
 
-    async initDB() {
-        try {
-            this.db = await idb.openDB(DB_NAME, DB_VERSION, {
-                upgrade(db) {
-                    if (!db.objectStoreNames.contains(STORE_NAME)) {
-                        const store = db.createObjectStore(STORE_NAME, {
-                            keyPath: 'id',
-                            autoIncrement: true
-                        });
-                        store.createIndex('date', 'date');
-                        store.createIndex('type', 'type');
-                        store.createIndex('tags', 'tags', { multiEntry: true });
-                    }
-                }
-            });
-        } catch (error) {
-            console.error('Error opening DB:', error);
-            this.showToast('Error', 'Failed to initialize database', 'danger');
-            // Fallback to localStorage if IndexedDB fails
-            this.useLocalStorage = true;
+    updateQueueItem(item) {
+        const row = document.querySelector(`.upload-queue-item[data-queue-id="${item.id}"]`);
+        if (!row) return;
+
+        const bar = row.querySelector('.progress-bar');
+        bar.style.width = `${item.status === 'error' || item.status === 'skipped' ? 100 : item.progress}%`;
+        bar.classList.toggle('bg-danger', item.status === 'error');
+        bar.classList.toggle('bg-secondary', item.status === 'skipped');
+        bar.classList.toggle('bg-success', item.status === 'done');
+        bar.classList.toggle('progress-bar-striped', item.status === 'uploading');
+        bar.classList.toggle('progress-bar-animated', item.status === 'uploading');
+
+        const statusEl = row.querySelector('.queue-status');
+        statusEl.className = `small queue-status ${item.status === 'error' ? 'text-danger' : 'text-muted'}`;
+        statusEl.textContent = {
+            pending: '',
+            checking: 'Checking for duplicates...',
+            duplicate: '',
+            uploading: 'Uploading...',
+            done: 'Uploaded',
+            skipped: item.note,
+            error: item.error
+        }[item.status];
+
+        const busy = ['checking', 'duplicate', 'uploading'].includes(item.status);
+        const titleField = row.querySelector('.queue-title');
+        if (titleField) {
+            titleField.disabled = busy || item.status === 'done';
+        }
+        row.querySelector('.remove-queue-item').disabled = busy;
+    }
+
+    // Store every valid file in the queue, one after another. A failing file is
+    // marked in the queue and does not stop the rest of the batch.
+    async processUploadQueue() {
+        const pending = this.uploadQueue.filter(item => item.status === 'pending');
+
+        if (this.uploadQueue.length === 0) {
+            this.showToast('Error', 'Please select a file', 'danger');
+            return;
+        }
+        if (pending.length === 0) {
+            this.showToast('Error', 'None of the selected files can be uploaded', 'danger');
+            return;
+        }
+
+        const isBatch = this.uploadQueue.length > 1;
+        const titleInput = document.getElementById('titleInput');
+        if (!isBatch && !titleInput.value.trim()) {
+            this.showToast('Error', 'Please enter a title', 'danger');
+            titleInput.focus();
+            return;
+        }
+
+        const { fields, error: fieldError } = this.readCustomFieldInputs();
+        if (fieldError) {
+            this.showToast('Error', fieldError, 'danger');
+            return;
         }
-    }
 
-    initUI() {
-        // Initialize calendar
-        this.renderCalendar(this.currentDate);
+        const needed = pending.reduce((total, item) => total + item.file.size, 0);
+        if (!(await this.confirmStorageSpace(needed))) return;
 
-        // Set current date display
-        this.updateCurrentDateDisplay();
+        const shared = {
+            description: document.getElementById('descriptionInput').value.trim(),
+            tags: this.parseTags(document.getElementById('tagsInput').value),
+            fields
+        };
 
-        // Event listeners
-        document.getElementById('uploadBtn').addEventListener('click', () => this.handleUpload());
-        document.getElementById('searchInput').addEventListener('input', () => this.loadEntries());
-        document.getElementById('typeFilter').addEventListener('change', () => this.loadEntries());
-        document.getElementById('tagFilter').addEventListener('change', () => this.loadEntries());
-        document.getElementById('clearFilters').addEventListener('click', () => this.clearFilters());
+        const uploadBtn = document.getElementById('uploadBtn');
+        uploadBtn.disabled = true;
+        this.isUploading = true;
+        let uploaded = 0;
+        // The last entry chosen over uploading a duplicate, opened once the queue is done
+        let linkedId = null;
 
-        // Initialize Bootstrap tooltips
-        const tooltipTriggerList = [].slice.call(document.querySelectorAll('[data-bs-toggle="tooltip"]'));
-        tooltipTriggerList.map(function (tooltipTriggerEl) {
-            return new bootstrap.Tooltip(tooltipTriggerEl);
-        });
-    }
+        for (const item of pending) {
+            const title = (isBatch ? item.title : titleInput.value).trim() || this.getDefaultTitle(item.file.name);
+            const contentError = await item.contentCheck;
+            if (contentError) {
+                item.status = 'error';
+                item.error = contentError;
+                this.updateQueueItem(item);
+                continue;
+            }
 
-    async loadEntries() {
-        const entriesList = document.getElementById('entriesList');
-        entriesList.innerHTML = '<div class="text-center py-5" id="loadingIndicator"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div></div>';
+            let contentHash;
+            try {
+                item.status = 'checking';
+                this.updateQueueItem(item);
+                contentHash = await sha256Hex(item.file);
+                const matches = await this.vault.openEntries(await this.storage.getAllFromIndex(STORE_NAME, 'contentHash', contentHash));
+                if (matches.length > 0) {
+                    const existing = matches.find(entry => !entry.deletedAt) || matches[0];
+                    const choice = await this.askDuplicateAction(item, existing);
+                    if (choice !== 'upload') {
+                        item.status = 'skipped';
+                        item.note = choice === 'link' ? `Kept the existing entry "${existing.title}"` : 'Not uploaded';
+                        if (choice === 'link') linkedId = existing.id;
+                        this.updateQueueItem(item);
+                        continue;
+                    }
+                }
+            } catch (error) {
+                console.error(`Error checking ${item.file.name} for duplicates:`, error);
+                item.status = 'error';
+                item.error = 'Could not read file';
+                this.updateQueueItem(item);
+                continue;
+            }
 
-        try {
-            let entries = await this.getAllEntries();
-            
-            // Apply filters
-            const searchTerm = document.getElementById('searchInput').value.toLowerCase();
-            const typeFilter = document.getElementById('typeFilter').value;
-            const tagFilter = document.getElementById('tagFilter').value;
-            
-            entries = entries.filter(entry => {
-                const matchesSearch = searchTerm === '' || 
-                    entry.title.toLowerCase().includes(searchTerm) || 
-                    (entry.description && entry.description.toLowerCase().includes(searchTerm));
-                
-                const matchesType = typeFilter === 'all' || entry.type === typeFilter;
-                
-                const matchesTag = tagFilter === 'all' || 
-                    (entry.tags && entry.tags.some(tag => tag.toLowerCase() === tagFilter.toLowerCase()));
-                
-                return matchesSearch && matchesType && matchesTag;
-            });
+            item.status = 'uploading';
+            item.progress = 0;
+            this.updateQueueItem(item);
 
-            // Sort by date (newest first)
-            entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+            try {
+                const buffer = await this.readFileWithProgress(item.file, fraction => {
+                    item.progress = Math.round(fraction * 70);
+                    this.updateQueueItem(item);
+                });
+                const blob = new Blob([buffer], { type: item.file.type });
+                const entry = { ...this.buildEntry(item.file, { ...shared, title }), contentHash };
+                const id = await this.addEntry(entry, blob);
+                item.progress = 85;
+                this.updateQueueItem(item);
 
-            this.displayEntries(entries);
-        } catch (error) {
-            console.error('Error loading entries:', error);
-            entriesList.innerHTML = '<div class="alert alert-danger">Failed to load entries</div>';
-            this.showToast('Error', 'Failed to load entries', 'danger');
+                await this.indexEntryContent(id, blob, entry.fileType);
+                await this.saveThumbnail(id, blob, entry);
+                item.status = 'done';
+                item.progress = 100;
+                uploaded++;
+            } catch (error) {
+                console.error(`Error uploading ${item.file.name}:`, error);
+                item.status = 'error';
+                item.error = this.getStorageErrorMessage(error, 'Failed to process file');
+            }
+            this.updateQueueItem(item);
         }
-    }
 
-    async getAllEntries() {
-        if (this.useLocalStorage) {
-            return this.getEntriesFromLocalStorage();
+        this.isUploading = false;
+        uploadBtn.disabled = false;
+
+        const failed = this.uploadQueue.filter(item => item.status === 'error').length;
+        const skipped = this.uploadQueue.filter(item => item.status === 'skipped').length;
+        const uploadModal = document.getElementById('uploadModal');
+        if (failed === 0) {
+            if (uploaded > 0) {
+                const message = uploaded === 1 ? 'File uploaded successfully' : `${uploaded} files uploaded successfully`;
+                this.showToast('Success', skipped > 0 ? `${message}, ${skipped} skipped` : message, 'success');
+            } else {
+                this.showToast('Info', 'Nothing was uploaded', 'info');
+            }
+            this.resetForm();
+            if (linkedId !== null && uploadModal.classList.contains('show')) {
+                this.switchModal(uploadModal, () => this.previewEntry(linkedId));
+            } else {
+                bootstrap.Modal.getInstance(uploadModal).hide();
+            }
         } else {
-            return await this.db.getAll(STORE_NAME);
+            // Keep the modal open so the failed files and their errors stay visible
+            this.showToast(uploaded > 0 ? 'Warning' : 'Error', `${uploaded} uploaded, ${failed} failed`, uploaded > 0 ? 'warning' : 'danger');
         }
-    }
 
-    async getEntriesFromLocalStorage() {
-        const entries = localStorage.getItem(STORE_NAME);
-        return entries ? JSON.parse(entries) : [];
+        if (uploaded > 0) {
+            this.loadEntries();
+            this.loadTags();
+            this.renderCalendar();
+        }
     }
 
-    displayEntries(entries) {
-        const entriesList = document.getElementById('entriesList');
-        
-        if (entries.length === 0) {
-            entriesList.innerHTML = '<div class="alert alert-info">No entries found</div>';
-            return;
-        }
+    // Ask in the queue row what to do with a file that is already in the library.
+    // Resolves to 'link' (keep the existing entry), 'upload' or 'cancel'.
+    askDuplicateAction(item, existing) {
+        item.status = 'duplicate';
+        this.updateQueueItem(item);
 
-        entriesList.innerHTML = '';
+        return new Promise(resolve => {
+            const row = document.querySelector(`.upload-queue-item[data-queue-id="${item.id}"]`);
+            const prompt = row ? row.querySelector('.queue-duplicate') : null;
+            item.resolveDuplicate = (choice) => {
+                item.resolveDuplicate = null;
+                if (prompt) prompt.replaceChildren();
+                resolve(choice);
+            };
+            if (!prompt) {
+                item.resolveDuplicate('cancel');
+                return;
+            }
 
-        entries.forEach(entry => {
-            const entryDate = new Date(entry.date);
-            const formattedDate = entryDate.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
+            const choiceButton = (text, className, choice) => {
+                const button = createElement('button', { className: `btn btn-sm ${className}`, text, attrs: { type: 'button' } });
+                button.addEventListener('click', () => item.resolveDuplicate(choice));
+                return button;
+            };
+            prompt.replaceChildren(
+                createElement('div', {
+                    className: 'small mt-1',
+                    text: `This file is already in the library as "${existing.title}"${existing.deletedAt ? ' (in the trash)' : ''}.`
+                }),
+                createElement('div', { className: 'd-flex flex-wrap gap-2 mt-1' }, [
+                    choiceButton('Open existing', 'btn-outline-primary', 'link'),
+                    choiceButton('Upload anyway', 'btn-outline-secondary', 'upload'),
+                    choiceButton('Cancel', 'btn-outline-danger', 'cancel')
+                ])
+            );
+        });
+    }
 
-            const entryElement = document.createElement('div');
-            entryElement.className = 'list-group-item entry-item py-3';
-            entryElement.innerHTML = `
-                <div class="d-flex align-items-center">
-                    <div class="flex-shrink-0 me-3">
-                        ${this.getFileThumbnail(entry)}
-                    </div>
-                    <div class="flex-grow-1">
-                        <h6 class="mb-1">${entry.title}</h6>
-                        <small class="text-muted">${formattedDate}</small>
-                        ${entry.description ? `<p class="mb-1 mt-1 small">${entry.description}</p>` : ''}
-                        ${entry.tags && entry.tags.length > 0 ? 
-                            `<div class="mt-1">${entry.tags.map(tag => `<span class="badge tag-badge">${tag}</span>`).join('')}</div>` : ''}
-                    </div>
-                    <div class="flex-shrink-0">
-                        <button class="btn btn-sm btn-outline-primary preview-btn" data-id="${entry.id}" data-bs-toggle="tooltip" title="Preview">
-                            <i class="bi bi-eye"></i>
-                        </button>
-                        <button class="btn btn-sm btn-outline-secondary edit-btn" data-id="${entry.id}" data-bs-toggle="tooltip" title="Edit">
-                            <i class="bi bi-pencil"></i>
-                        </button>
-                        <button class="btn btn-sm btn-outline-danger delete-btn" data-id="${entry.id}" data-bs-toggle="tooltip" title="Delete">
-                            <i class="bi bi-trash"></i>
-                        </button>
-                    </div>
-                </div>
-            `;
-            entriesList.appendChild(entryElement);
+    readFileWithProgress(file, onProgress) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onprogress = (e) => {
+                if (e.lengthComputable) onProgress(e.loaded / e.total);
+            };
+            reader.onload = () => {
+                onProgress(1);
+                resolve(reader.result);
+            };
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // Drag files onto the entries list to open them in the upload queue
+    initDropZone() {
+        const dropZone = document.getElementById('entriesDropZone');
+        let dragDepth = 0;
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+        dropZone.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth++;
+            dropZone.classList.add('drop-active');
         });
 
-        // Add event listeners to buttons
-        document.querySelectorAll('.preview-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.previewEntry(e.target.closest('button').dataset.id));
+        dropZone.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
         });
 
-        document.querySelectorAll('.edit-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.editEntry(e.target.closest('button').dataset.id));
+        dropZone.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) dropZone.classList.remove('drop-active');
         });
 
-        document.querySelectorAll('.delete-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.deleteEntry(e.target.closest('button').dataset.id));
+        dropZone.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            dropZone.classList.remove('drop-active');
+            this.openUploadWithFiles(e.dataTransfer.files);
         });
     }
 
-    getFileThumbnail(entry) {
-        if (entry.type === 'image') {
-            return `<img src="${entry.fileData}" class="entry-thumbnail" alt="${entry.title}">`;
-        } else if (entry.type === 'video') {
-            return `<div class="video-thumbnail entry-thumbnail bg-secondary d-flex align-items-center justify-content-center">
-                <i class="bi bi-film text-white"></i>
-            </div>`;
-        } else {
-            let iconClass = 'bi-file-earmark';
-            if (entry.fileType === 'pdf') iconClass = 'bi-file-earmark-pdf pdf-icon';
-            else if (entry.fileType === 'docx') iconClass = 'bi-file-earmark-word word-icon';
-            else if (entry.fileType === 'txt') iconClass = 'bi-file-earmark-text text-icon';
-            
-            return `<div class="file-icon">
-                <i class="bi ${iconClass}"></i>
-            </div>`;
+    // Start the upload form on files dropped or shared into the app. title and
+    // description fill the form, when the source offers them.
+    openUploadWithFiles(files, { title = '', description = '' } = {}) {
+        if (this.isUploading) {
+            this.showToast('Error', 'Please wait for the current upload to finish', 'danger');
+            return;
         }
+
+        this.resetForm();
+        this.setFileInputFiles(files);
+        document.getElementById('titleInput').value = title;
+        document.getElementById('descriptionInput').value = description;
+        this.setUploadFiles(files);
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('uploadModal')).show();
     }
 
-    async previewEntry(id) {
+    setFileInputFiles(files) {
         try {
-            const entry = await this.getEntryById(id);
-            if (!entry) {
-                this.showToast('Error', 'Entry not found', 'danger');
-                return;
-            }
+            const transfer = new DataTransfer();
+            Array.from(files).forEach(file => transfer.items.add(file));
+            document.getElementById('fileInput').files = transfer.files;
+        } catch (error) {
+            // Older browsers cannot assign files; the queue still holds them
+        }
+    }
 
-            document.getElementById('previewModalTitle').textContent = entry.title;
-            const previewContent = document.getElementById('previewModalContent');
-            previewContent.innerHTML = '';
+    initCapture() {
+        // applyFileTypePolicy() shows the button where the camera can be used
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) return;
 
-            const previewModal = new bootstrap.Modal(document.getElementById('previewModal'));
-            
-            if (entry.type === 'image') {
-                previewContent.innerHTML = `<img src="${entry.fileData}" class="img-fluid" alt="${entry.title}">`;
-            } else if (entry.type === 'video') {
-                previewContent.innerHTML = `
-                    <video controls class="w-100">
-                        <source src="${entry.fileData}" type="video/mp4">
-                        Your browser does not support the video tag.
-                    </video>
-                `;
-            } else {
-                previewContent.innerHTML = `
-                    <div class="text-center py-4">
-                        <div class="file-icon mb-3">
-                            ${this.getFileThumbnail(entry)}
-                        </div>
-                        <p>This file cannot be previewed in the browser.</p>
-                        <a href="${entry.fileData}" download="${entry.fileName}" class="btn btn-primary">
-                            <i class="bi bi-download"></i> Download File
-                        </a>
-                    </div>
-                `;
-            }
+        document.getElementById('captureBtn').addEventListener('click', () => this.openCamera());
+        document.getElementById('switchCameraBtn').addEventListener('click', () => {
+            this.capture.facingMode = this.capture.facingMode === 'environment' ? 'user' : 'environment';
+            this.openCamera();
+        });
+        document.getElementById('takePhotoBtn').addEventListener('click', () => this.takePhoto());
+        document.getElementById('cancelCaptureBtn').addEventListener('click', () => this.closeCapture());
+        document.getElementById('retakePhotoBtn').addEventListener('click', () => this.openCamera());
+        document.getElementById('usePhotoBtn').addEventListener('click', () => this.useCapturedPhoto());
+        document.getElementById('rotateLeftBtn').addEventListener('click', () => this.rotateCapture(-1));
+        document.getElementById('rotateRightBtn').addEventListener('click', () => this.rotateCapture(1));
+        document.getElementById('resetCornersBtn').addEventListener('click', () => {
+            this.capture.corners = this.getFullCorners();
+            this.renderCaptureOverlay();
+            this.scheduleCaptureOutput();
+        });
+        document.querySelectorAll('input[name="captureMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.setCaptureMode(radio.value));
+        });
+        document.getElementById('captureGrayscale').addEventListener('change', (e) => {
+            document.getElementById('captureCanvas').classList.toggle('grayscale', e.target.checked);
+            this.scheduleCaptureOutput();
+        });
+        const qualityInput = document.getElementById('captureQuality');
+        qualityInput.value = Math.round(CAPTURE_QUALITY * 100);
+        qualityInput.addEventListener('input', () => this.scheduleCaptureOutput());
+        document.getElementById('uploadModal').addEventListener('hidden.bs.modal', () => this.closeCapture());
 
-            // Set up download button
-            const downloadBtn = document.getElementById('downloadBtn');
-            downloadBtn.onclick = () => {
-                this.downloadFile(entry);
-                previewModal.hide();
+        // Corners are dragged in the overlay, which has the photo's pixels as its viewBox
+        const overlay = document.getElementById('captureOverlay');
+        const toImagePoint = (e) => {
+            const rect = overlay.getBoundingClientRect();
+            const { width, height } = this.capture.canvas;
+            return {
+                x: Math.min(width, Math.max(0, (e.clientX - rect.left) / rect.width * width)),
+                y: Math.min(height, Math.max(0, (e.clientY - rect.top) / rect.height * height))
             };
-
-            previewModal.show();
-        } catch (error) {
-            console.error('Error previewing entry:', error);
-            this.showToast('Error', 'Failed to preview entry', 'danger');
-        }
+        };
+        overlay.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.capture-handle');
+            if (!handle) return;
+            e.preventDefault();
+            this.capture.drag = parseInt(handle.dataset.index);
+            overlay.setPointerCapture(e.pointerId);
+        });
+        overlay.addEventListener('pointermove', (e) => {
+            if (this.capture.drag === null) return;
+            this.moveCaptureCorner(this.capture.drag, toImagePoint(e));
+            this.renderCaptureOverlay();
+        });
+        ['pointerup', 'pointercancel'].forEach(type => overlay.addEventListener(type, () => {
+            if (this.capture.drag === null) return;
+            this.capture.drag = null;
+            this.scheduleCaptureOutput();
+        }));
     }
 
-    downloadFile(entry) {
-        const link = document.createElement('a');
-        link.href = entry.fileData;
-        link.download = entry.fileName || `download.${entry.fileType}`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        this.showToast('Success', 'Download started', 'success');
+    // Show the camera, or the photo editor, in place of the upload form
+    showCapturePanel(view) {
+        document.getElementById('capturePanel').classList.toggle('d-none', !view);
+        document.getElementById('cameraView').classList.toggle('d-none', view !== 'camera');
+        document.getElementById('photoEditor').classList.toggle('d-none', view !== 'editor');
+        document.getElementById('uploadForm').classList.toggle('d-none', !!view);
+        document.getElementById('uploadBtn').disabled = !!view || this.isUploading;
     }
 
-    async editEntry(id) {
-        try {
-            const entry = await this.getEntryById(id);
-            if (!entry) {
-                this.showToast('Error', 'Entry not found', 'danger');
-                return;
-            }
-
-            this.currentEntryId = id;
-            
-            // Fill the form with entry data
-            document.getElementById('titleInput').value = entry.title;
-            document.getElementById('descriptionInput').value = entry.description || '';
-            document.getElementById('tagsInput').value = entry.tags ? entry.tags.join(', ') : '';
-            
-            // Show the upload modal (we'll use it for editing too)
-            const uploadModal = new bootstrap.Modal(document.getElementById('uploadModal'));
-            uploadModal.show();
-            
-            // Change the modal title and button text
-            document.getElementById('uploadModalLabel').textContent = 'Edit Entry';
-            document.getElementById('uploadBtn').textContent = 'Save Changes';
-            
-            // We won't pre-fill the file input as it's complicated to set programmatically
-            document.getElementById('fileInput').value = '';
-        } catch (error) {
-            console.error('Error editing entry:', error);
-            this.showToast('Error', 'Failed to edit entry', 'danger');
+    async openCamera() {
+        if (this.isUploading) {
+            this.showToast('Error', 'Please wait for the current upload to finish', 'danger');
+            return;
         }
-    }
 
-    async deleteEntry(id) {
-        if (!confirm('Are you sure you want to delete this entry?')) return;
-        
+        const requestId = ++this.capture.cameraRequestId;
+        this.stopCamera();
+        let stream;
         try {
-            await this.removeEntry(id);
-            this.showToast('Success', 'Entry deleted successfully', 'success');
-            this.loadEntries();
-            this.loadTags();
-            this.renderCalendar(this.currentDate);
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: { ideal: this.capture.facingMode }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+                audio: false
+            });
         } catch (error) {
-            console.error('Error deleting entry:', error);
-            this.showToast('Error', 'Failed to delete entry', 'danger');
+            if (requestId !== this.capture.cameraRequestId) return;
+            console.error('Error opening camera:', error);
+            const message = error.name === 'NotAllowedError' ? 'Camera access was denied'
+                : error.name === 'NotFoundError' ? 'No camera was found' : 'Could not open the camera';
+            this.showToast('Error', message, 'danger');
+            this.closeCapture();
+            return;
         }
-    }
 
-    async handleUpload() {
-        const fileInput = document.getElementById('fileInput');
-        const titleInput = document.getElementById('titleInput');
-        const descriptionInput = document.getElementById('descriptionInput');
-        const tagsInput = document.getElementById('tagsInput');
-        
-        // Validate inputs
-        if (!fileInput.files || fileInput.files.length === 0) {
-            this.showToast('Error', 'Please select a file', 'danger');
+        // The form was closed, or the camera asked for again, while permission was pending
+        if (requestId !== this.capture.cameraRequestId || !document.getElementById('uploadModal').classList.contains('show')) {
+            stream.getTracks().forEach(track => track.stop());
             return;
         }
-        
-        if (!titleInput.value.trim()) {
-            this.showToast('Error', 'Please enter a title', 'danger');
-            titleInput.focus();
-            return;
+        this.capture.stream = stream;
+        const video = document.getElementById('cameraVideo');
+        video.srcObject = this.capture.stream;
+        this.showCapturePanel('camera');
+    }
+
+    stopCamera() {
+        if (this.capture.stream) {
+            this.capture.stream.getTracks().forEach(track => track.stop());
+            this.capture.stream = null;
         }
-        
-        const file = fileInput.files[0];
-        
-        // Validate file type
-        if (!ALLOWED_TYPES[file.type]) {
-            this.showToast('Error', 'File type not allowed', 'danger');
-            return;
+        document.getElementById('cameraVideo').srcObject = null;
+    }
+
+    takePhoto() {
+        const video = document.getElementById('cameraVideo');
+        if (!video.videoWidth) return;
+        const canvas = createCanvas(video.videoWidth, video.videoHeight);
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        this.stopCamera();
+
+        this.capture.canvas = canvas;
+        this.capture.corners = this.getFullCorners();
+        this.renderCaptureImage();
+        this.showCapturePanel('editor');
+    }
+
+    closeCapture() {
+        this.stopCamera();
+        clearTimeout(this.capture.outputTimer);
+        this.capture.renderId++;
+        this.capture.cameraRequestId++;
+        Object.assign(this.capture, { canvas: null, corners: [], drag: null, result: null });
+        this.showCapturePanel(null);
+    }
+
+    // Top left, top right, bottom right and bottom left of the whole photo
+    getFullCorners() {
+        const { width, height } = this.capture.canvas;
+        return [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+    }
+
+    // Cropping keeps the corners a rectangle: the corner in the same row
+    // follows the new y and the one in the same column the new x
+    moveCaptureCorner(index, point) {
+        const { corners } = this.capture;
+        corners[index] = point;
+        if (this.capture.mode === 'crop') {
+            corners[[1, 0, 3, 2][index]].y = point.y;
+            corners[[3, 2, 1, 0][index]].x = point.x;
         }
-        
-        // Validate file size
-        if (file.size > MAX_FILE_SIZE) {
-            this.showToast('Error', 'File size exceeds 10MB limit', 'danger');
-            return;
+    }
+
+    setCaptureMode(mode) {
+        this.capture.mode = mode;
+        if (mode === 'crop') {
+            const xs = this.capture.corners.map(corner => corner.x);
+            const ys = this.capture.corners.map(corner => corner.y);
+            const [left, right, top, bottom] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+            this.capture.corners = [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }];
         }
-        
-        // Determine file type category
-        let fileCategory;
-        if (file.type.startsWith('image/')) fileCategory = 'image';
-        else if (file.type.startsWith('video/')) fileCategory = 'video';
-        else fileCategory = 'document';
-        
-        // Process tags
-        const tags = tagsInput.value 
-            ? tagsInput.value.split(',').map(tag => tag.trim()).filter(tag => tag)
-            : [];
-        
+        this.renderCaptureOverlay();
+        this.scheduleCaptureOutput();
+    }
+
+    // Turn the photo a quarter turn, taking the corners along
+    rotateCapture(quarterTurns) {
+        const { canvas, corners } = this.capture;
+        const turn = quarterTurns > 0
+            ? ({ x, y }) => ({ x: canvas.height - y, y: x })
+            : ({ x, y }) => ({ x: y, y: canvas.width - x });
+        const order = quarterTurns > 0 ? [3, 0, 1, 2] : [1, 2, 3, 0];
+        this.capture.corners = order.map(index => turn(corners[index]));
+        this.capture.canvas = rotateCanvas(canvas, quarterTurns);
+        this.renderCaptureImage();
+    }
+
+    renderCaptureImage() {
+        const { canvas } = this.capture;
+        const display = document.getElementById('captureCanvas');
+        display.width = canvas.width;
+        display.height = canvas.height;
+        display.getContext('2d').drawImage(canvas, 0, 0);
+        document.getElementById('captureOverlay').setAttribute('viewBox', `0 0 ${canvas.width} ${canvas.height}`);
+        this.renderCaptureOverlay();
+        this.scheduleCaptureOutput();
+    }
+
+    renderCaptureOverlay() {
+        const { canvas, corners } = this.capture;
+        const overlay = document.getElementById('captureOverlay');
+        const radius = Math.max(canvas.width, canvas.height) * 0.02;
+        overlay.innerHTML = `
+            <polygon class="capture-area" points="${corners.map(({ x, y }) => `${x},${y}`).join(' ')}"></polygon>
+            ${corners.map(({ x, y }, index) => `<circle class="capture-handle" data-index="${index}" cx="${x}" cy="${y}" r="${radius}"></circle>`).join('')}
+        `;
+    }
+
+    // The edited photo at full size: cropped or straightened, then made grayscale
+    buildCapturedCanvas() {
+        const { canvas, corners, mode } = this.capture;
+        let result;
+        if (mode === 'crop') {
+            const [topLeft, , bottomRight] = corners;
+            const x = Math.min(topLeft.x, bottomRight.x);
+            const y = Math.min(topLeft.y, bottomRight.y);
+            result = cropCanvas(canvas, { x, y, width: Math.abs(bottomRight.x - topLeft.x), height: Math.abs(bottomRight.y - topLeft.y) });
+        } else {
+            result = warpPerspective(canvas, corners);
+        }
+        return document.getElementById('captureGrayscale').checked ? grayscaleCanvas(result) : result;
+    }
+
+    scheduleCaptureOutput() {
+        clearTimeout(this.capture.outputTimer);
+        this.capture.result = null;
+        document.getElementById('captureSize').textContent = 'Working out the file size...';
+        this.capture.outputTimer = setTimeout(() => this.updateCaptureOutput(), CAPTURE_UPDATE_DELAY);
+    }
+
+    // Encode the edited photo with the slider's quality, lowered (and the photo
+    // scaled down) as needed to stay within the size limit for images
+    async updateCaptureOutput() {
+        clearTimeout(this.capture.outputTimer);
+        const renderId = ++this.capture.renderId;
+        const sizeEl = document.getElementById('captureSize');
+        const maxSize = this.settings.fileTypePolicy.maxSize.image;
+        const quality = parseInt(document.getElementById('captureQuality').value) / 100;
+
         try {
-            // Read file as data URL
-            const fileData = await this.readFileAsDataURL(file);
-            
-            const entry = {
-                title: titleInput.value.trim(),
-                description: descriptionInput.value.trim(),
-                tags,
-                fileName: file.name,
-                fileType: ALLOWED_TYPES[file.type],
-                type: fileCategory,
-                fileData,
-                date: new Date().toISOString()
-            };
-            
-            if (this.currentEntryId) {
-                // Update existing entry
-                entry.id = parseInt(this.currentEntryId);
-                await this.updateEntry(entry);
-                this.showToast('Success', 'Entry updated successfully', 'success');
-            } else {
-                // Add new entry
-                await this.addEntry(entry);
-                this.showToast('Success', 'File uploaded successfully', 'success');
-            }
-            
-            // Reset form and close modal
-            this.resetForm();
-            bootstrap.Modal.getInstance(document.getElementById('uploadModal')).hide();
-            
-            // Refresh UI
-            this.loadEntries();
-            this.loadTags();
-            this.renderCalendar(this.currentDate);
+            const canvas = this.buildCapturedCanvas();
+            const result = await compressToFit(canvas, quality, maxSize);
+            if (renderId !== this.capture.renderId) return null;
+
+            const notes = [];
+            if (result.quality < quality) notes.push(`quality lowered to ${Math.round(result.quality * 100)}%`);
+            if (result.width < canvas.width) notes.push('scaled down');
+            const fitted = notes.length > 0 ? ` (${notes.join(' and ')} to fit the ${this.formatFileSize(maxSize)} limit)` : '';
+            sizeEl.textContent = `${this.formatFileSize(result.blob.size)}, ${result.width} × ${result.height}${fitted}`;
+            this.capture.result = result;
+            return result;
         } catch (error) {
-            console.error('Error handling upload:', error);
-            this.showToast('Error', 'Failed to process file', 'danger');
+            if (renderId !== this.capture.renderId) return null;
+            console.error('Error preparing photo:', error);
+            sizeEl.textContent = error.message;
+            return null;
         }
     }
 
-    readFileAsDataURL(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-        });
+    // Add the photo to the upload queue, or make it the replacement file when editing an entry
+    async useCapturedPhoto() {
+        const result = this.capture.result || await this.updateCaptureOutput();
+        if (!result) {
+            this.showToast('Error', 'Could not prepare the photo', 'danger');
+            return;
+        }
+
+        const now = new Date();
+        const time = now.toTimeString().slice(0, 8).replace(/:/g, '');
+        const file = new File([result.blob], `Photo ${this.toDateKey(now)} ${time}.jpg`, { type: 'image/jpeg', lastModified: now.getTime() });
+        this.closeCapture();
+
+        const files = this.currentEntryId ? [file] : [...this.uploadQueue.map(item => item.file), file];
+        this.setFileInputFiles(files);
+        if (!this.currentEntryId) this.setUploadFiles(files);
     }
 
     resetForm() {
         document.getElementById('uploadForm').reset();
+        this.renderCustomFieldInputs();
         this.currentEntryId = null;
+        this.uploadQueue = [];
+        this.renderUploadQueue();
+        document.getElementById('titleGroup').classList.remove('d-none');
+        document.getElementById('fileInput').multiple = true;
+        document.getElementById('fileInput').required = true;
+        document.getElementById('currentFileHint').classList.add('d-none');
         document.getElementById('uploadModalLabel').textContent = 'Upload New File';
         document.getElementById('uploadBtn').textContent = 'Upload';
     }
 
-    async addEntry(entry) {
-        if (this.useLocalStorage) {
-            return this.addEntryToLocalStorage(entry);
-        } else {
-            return await this.db.add(STORE_NAME, entry);
+    // fromSync marks writes that came from the sync server, which are not logged as local changes
+    async addEntry(entry, file, { fromSync = false } = {}) {
+        if (!entry.uid) {
+            entry.uid = createUid();
         }
+        entry.sortTitle = getSortTitle(entry.title);
+        entry.fieldKeys = getFieldKeys(entry.fields);
+        if (!entry.contentHash) {
+            entry.contentHash = await sha256Hex(file);
+        }
+        if (!fromSync) {
+            stampFieldTimes(entry, undefined, entry.updatedAt);
+        }
+        const sealedEntry = await this.vault.sealEntry(entry);
+        const sealedFile = await this.vault.sealBlob(file);
+
+        // Entry and file are written together so neither can exist without the other
+        const id = await this.storage.transaction([STORE_NAME, FILES_STORE, CHANGES_STORE], async (tx) => {
+            const id = await tx.add(STORE_NAME, sealedEntry);
+            await tx.put(FILES_STORE, sealedFile, id);
+            if (!fromSync) {
+                await this.logChange(tx, entry.uid, 'put', true);
+            }
+            return id;
+        });
+        if (!fromSync) this.afterLocalChange();
+        return id;
     }
 
-    async addEntryToLocalStorage(entry) {
-        const entries = await this.getEntriesFromLocalStorage();
-        entry.id = entries.length > 0 ? Math.max(...entries.map(e => e.id)) + 1 : 1;
-        entries.push(entry);
-        localStorage.setItem(STORE_NAME, JSON.stringify(entries));
-        return entry.id;
+    // Overwrite an entry (and optionally its file), snapshotting the previous
+    // state into the versions store first. A snapshot keeps the old file only
+    // when the file is being replaced; see getVersionFile().
+    async updateEntry(entry, file, { fromSync = false } = {}) {
+        const stores = [STORE_NAME, FILES_STORE, VERSIONS_STORE, CHANGES_STORE, THUMBNAILS_STORE];
+        entry.sortTitle = getSortTitle(entry.title);
+        entry.fieldKeys = getFieldKeys(entry.fields);
+        // Hashed and sealed before the transaction, which would not survive waiting on crypto
+        const contentHash = file ? await sha256Hex(file) : null;
+        const sealedFile = file && await this.vault.sealBlob(file);
+        entry = await this.vault.sealEntry(entry);
+        await this.storage.transaction(stores, async (tx) => {
+            const previous = await tx.get(STORE_NAME, entry.id);
+            entry.contentHash = contentHash || (previous ? previous.contentHash : entry.contentHash);
+            if (previous) {
+                const version = { entryId: entry.id, savedAt: new Date().toISOString(), entry: previous };
+                if (file) {
+                    version.file = await tx.get(FILES_STORE, entry.id);
+                }
+                await tx.add(VERSIONS_STORE, version);
+
+                // Restored versions and imports may carry another uid or sync state
+                entry.uid = previous.uid;
+                if (!fromSync) {
+                    entry.syncedTags = previous.syncedTags;
+                    stampFieldTimes(entry, previous, new Date().toISOString(), !!file);
+                }
+            }
+            await tx.put(STORE_NAME, entry);
+            if (file) {
+                await tx.put(FILES_STORE, sealedFile, entry.id);
+                // Made again from the new file the next time it is needed
+                await tx.delete(THUMBNAILS_STORE, entry.id);
+            }
+            if (!fromSync) {
+                await this.logChange(tx, entry.uid, 'put', !!file);
+            }
+        });
+        if (!fromSync) this.afterLocalChange();
     }
 
-    async updateEntry(entry) {
-        if (this.useLocalStorage) {
-            return this.updateEntryInLocalStorage(entry);
-        } else {
-            return await this.db.put(STORE_NAME, entry);
+    // Snapshots of an entry, oldest first
+    async getVersions(entryId) {
+        const versions = await this.storage.getAllFromIndex(VERSIONS_STORE, 'entryId', parseInt(entryId));
+        for (const version of versions) {
+            version.entry = await this.vault.openEntry(version.entry);
         }
+        return versions.sort((a, b) => a.versionId - b.versionId);
     }
 
-    async updateEntryInLocalStorage(entry) {
-        const entries = await this.getEntriesFromLocalStorage();
-        const index = entries.findIndex(e => e.id === entry.id);
-        if (index !== -1) {
-            entries[index] = entry;
-            localStorage.setItem(STORE_NAME, JSON.stringify(entries));
+    // The file as it was when a version was current: the old file held by the
+    // first snapshot at or after it that replaced the file, else the current file
+    async getVersionFile(version, versions) {
+        const holder = versions.find(other => other.versionId >= version.versionId && other.file);
+        const file = holder ? await this.vault.openBlob(holder.file) : await this.getFile(version.entryId);
+        if (!file) {
+            throw new Error(`File for version ${version.versionId} not found`);
         }
+        return file;
+    }
+
+    async removeEntry(id, { fromSync = false } = {}) {
+        const entryId = parseInt(id);
+        const stores = [STORE_NAME, FILES_STORE, TEXTS_STORE, TERMS_STORE, VERSIONS_STORE, CHANGES_STORE, THUMBNAILS_STORE];
+        await this.storage.transaction(stores, async (tx) => {
+            const entry = await tx.get(STORE_NAME, entryId);
+            const changeKeys = entry && entry.uid ? await tx.getAllKeysFromIndex(CHANGES_STORE, 'uid', entry.uid) : [];
+            const termKeys = await tx.getAllKeysFromIndex(TERMS_STORE, 'entryId', entryId);
+            const versionKeys = await tx.getAllKeysFromIndex(VERSIONS_STORE, 'entryId', entryId);
+            await tx.delete(STORE_NAME, entryId);
+            await tx.delete(FILES_STORE, entryId);
+            await tx.delete(TEXTS_STORE, entryId);
+            await tx.delete(THUMBNAILS_STORE, entryId);
+            for (const key of termKeys) {
+                await tx.delete(TERMS_STORE, key);
+            }
+            for (const key of versionKeys) {
+                await tx.delete(VERSIONS_STORE, key);
+            }
+            // Earlier changes to the entry no longer need pushing; only the delete does
+            for (const key of changeKeys) {
+                await tx.delete(CHANGES_STORE, key);
+            }
+            if (entry && !fromSync) {
+                await this.logChange(tx, entry.uid, 'delete', false);
+            }
+        });
+        if (!fromSync) this.afterLocalChange();
+    }
+
+    // Record a local change for the sync engine to push. Nothing is logged while
+    // sync is off; turning it on pushes the whole library instead.
+    async logChange(tx, uid, op, fileChanged) {
+        if (!this.sync.enabled) return;
+        await tx.add(CHANGES_STORE, { uid, op, fileChanged, at: new Date().toISOString() });
+    }
+
+    afterLocalChange() {
+        if (this.sync.enabled) this.sync.scheduleSync();
     }
 
-    async removeEntry(id) {
-        if (this.useLocalStorage) {
-            return this.removeEntryFromLocalStorage(id);
-        } else {
-            return await this.db.delete(STORE_NAME, parseInt(id));
-        }
+    // Drop an entry's pushed changes, up to and including seq
+    async clearChanges(uid, seq) {
+        await this.storage.transaction([CHANGES_STORE], async (tx) => {
+            const keys = await tx.getAllKeysFromIndex(CHANGES_STORE, 'uid', uid);
+            for (const key of keys.filter(key => key <= seq)) {
+                await tx.delete(CHANGES_STORE, key);
+            }
+        });
     }
 
-    async removeEntryFromLocalStorage(id) {
-        const entries = await this.getEntriesFromLocalStorage();
-        const filteredEntries = entries.filter(e => e.id !== parseInt(id));
-        localStorage.setItem(STORE_NAME, JSON.stringify(filteredEntries));
+    // Reads of files and entries go through the vault, which opens what it sealed
+    async getFile(id) {
+        return this.vault.openBlob(await this.storage.get(FILES_STORE, parseInt(id)));
     }
 
     async getEntryById(id) {
-        if (this.useLocalStorage) {
-            const entries = await this.getEntriesFromLocalStorage();
-            return entries.find(e => e.id === parseInt(id));
-        } else {
-            return await this.db.get(STORE_NAME, parseInt(id));
-        }
+        return this.vault.openEntry(await this.storage.get(STORE_NAME, parseInt(id)));
+    }
+
+    async getEntryByUid(uid) {
+        const [entry] = await this.storage.getAllFromIndex(STORE_NAME, 'uid', uid);
+        return this.vault.openEntry(entry);
     }
 
-    renderCalendar(date) {
+    // Show the month of date, or the month shown already
+    renderCalendar(date = this.calendarMonth) {
         const calendarEl = document.getElementById('calendar');
         if (!calendarEl) return;
         
         const year = date.getFullYear();
         const month = date.getMonth();
+        this.calendarMonth = new Date(year, month, 1);
         
         // Get first day of month and total days in month
         const firstDay = new Date(year, month, 1).getDay();
@@ -507,12 +5422,15 @@ class DocumentManager {
         }
         
         // Add days from current month
+        const selectedRange = this.getDateRangeBounds(this.currentDate, this.dateRange);
         for (let i = 1; i <= daysInMonth; i++) {
             const currentDate = new Date(year, month, i);
-            const dateClass = this.isToday(currentDate) ? 'today' : '';
-            const hasEntriesClass = this.doesDateHaveEntries(currentDate) ? 'has-entries' : '';
+            const classes = ['calendar-date'];
+            if (this.isToday(currentDate)) classes.push('today');
+            if (!this.showAllDates && this.isSameDay(currentDate, this.currentDate)) classes.push('selected');
+            else if (!this.showAllDates && currentDate >= selectedRange.start && currentDate < selectedRange.end) classes.push('in-range');
             
-            datesHTML += `<div class="calendar-date ${dateClass} ${hasEntriesClass}" data-date="${currentDate.toISOString()}">${i}</div>`;
+            datesHTML += `<div class="${classes.join(' ')}" data-date="${currentDate.toISOString()}" data-day="${this.toDateKey(currentDate)}">${i}</div>`;
         }
         
         // Add days from next month to complete the grid
@@ -527,59 +5445,362 @@ class DocumentManager {
         
         // Combine all parts
         calendarEl.innerHTML = headerHTML + dayNamesHTML + datesHTML;
+        this.updateCalendarMarkers(year, month);
+        // The calendar is redrawn after every change to the library, and so is the due list
+        this.renderUpcoming();
         
         // Add event listeners
-        document.querySelector('.prev-month').addEventListener('click', () => {
-            this.currentDate = new Date(year, month - 1, 1);
-            this.renderCalendar(this.currentDate);
-        });
-        
-        document.querySelector('.next-month').addEventListener('click', () => {
-            this.currentDate = new Date(year, month + 1, 1);
-            this.renderCalendar(this.currentDate);
-        });
+        document.querySelector('.prev-month').addEventListener('click', () => this.renderCalendar(new Date(year, month - 1, 1)));
+        document.querySelector('.next-month').addEventListener('click', () => this.renderCalendar(new Date(year, month + 1, 1)));
         
         document.querySelectorAll('.calendar-date[data-date]').forEach(dateEl => {
             dateEl.addEventListener('click', () => {
-                const date = new Date(dateEl.dataset.date);
-                this.currentDate = date;
-                this.updateCurrentDateDisplay();
-                this.loadEntries();
-                
-                // Update selected date in calendar
-                document.querySelectorAll('.calendar-date').forEach(el => el.classList.remove('selected'));
-                dateEl.classList.add('selected');
+                // Picking a day always scopes the list to it again
+                this.setShowAllDates(false);
+                this.selectDate(new Date(dateEl.dataset.date));
             });
         });
     }
 
-    isToday(date) {
+    // Fill in per-day entry counts with a single query for the whole month, and
+    // mark the days something is due with a separate dot
+    async updateCalendarMarkers(year, month) {
+        const renderId = ++this.calendarRenderId;
+
+        try {
+            const start = new Date(year, month, 1);
+            const end = new Date(year, month + 1, 1);
+            const [counts, dueItems] = await Promise.all([
+                this.getEntryCountsByDay(start, end),
+                this.getDueItems(this.toDateKey(start), this.toDateKey(end))
+            ]);
+            // A newer render has replaced these cells in the meantime
+            if (renderId !== this.calendarRenderId) return;
+
+            const dueByDay = new Map();
+            dueItems.forEach(item => dueByDay.set(item.date, [...(dueByDay.get(item.date) || []), item]));
+            dueByDay.forEach((items, day) => {
+                const dateEl = document.querySelector(`.calendar-date[data-day="${day}"]`);
+                if (!dateEl) return;
+                dateEl.classList.add('has-due');
+                dateEl.dataset.due = items.map(item => `${item.field.label}: ${item.entry.title}`).join('\n');
+                dateEl.title = dateEl.dataset.due;
+                dateEl.appendChild(createElement('span', { className: `calendar-due-marker${day < this.toDateKey(new Date()) ? ' overdue' : ''}` }));
+            });
+
+            counts.forEach((count, day) => {
+                const dateEl = document.querySelector(`.calendar-date[data-day="${day}"]`);
+                if (!dateEl) return;
+                dateEl.classList.add('has-entries');
+                dateEl.title = `${count} ${count === 1 ? 'entry' : 'entries'}` + (dateEl.dataset.due ? `\n${dateEl.dataset.due}` : '');
+                const badge = document.createElement('span');
+                badge.className = 'calendar-badge';
+                badge.textContent = count > 99 ? '99+' : count;
+                dateEl.appendChild(badge);
+            });
+        } catch (error) {
+            console.error('Error loading calendar markers:', error);
+        }
+    }
+
+    getReminderFields() {
+        return this.settings.customFields.filter(field => field.type === 'date' && field.reminder);
+    }
+
+    // Due dates from start up to (not including) end, as 'YYYY-MM-DD' keys or
+    // undefined for an open end. Returns [{ entry, field, date }] by date, trash left out.
+    async getDueItems(start, end) {
+        const items = [];
+        for (const field of this.getReminderFields()) {
+            const range = keyRange(start ? [field.id, start] : [field.id], end ? [field.id, end] : [field.id, []], false, !!end);
+            const entries = await this.vault.openEntries(await this.storage.getAllFromIndex(STORE_NAME, 'fieldValues', range));
+            entries.filter(entry => !entry.deletedAt && typeof entry.fields[field.id] === 'string')
+                .forEach(entry => items.push({ entry, field, date: entry.fields[field.id] }));
+        }
+        return items.sort((a, b) => a.date.localeCompare(b.date) || a.entry.title.localeCompare(b.entry.title));
+    }
+
+    // 'overdue', 'due-soon' or null for a 'YYYY-MM-DD' due date
+    getDueStatus(date) {
         const today = new Date();
-        return date.getDate() === today.getDate() && 
-               date.getMonth() === today.getMonth() && 
-               date.getFullYear() === today.getFullYear();
+        if (date < this.toDateKey(today)) return 'overdue';
+        const soon = new Date(today.getFullYear(), today.getMonth(), today.getDate() + this.settings.reminderDays);
+        return date <= this.toDateKey(soon) ? 'due-soon' : null;
     }
 
-    async doesDateHaveEntries(date) {
+    // The most urgent status among an entry's due dates
+    getEntryDueStatus(entry) {
+        const statuses = this.getReminderFields()
+            .filter(field => entry.fields && typeof entry.fields[field.id] === 'string')
+            .map(field => this.getDueStatus(entry.fields[field.id]));
+        return statuses.includes('overdue') ? 'overdue' : statuses.includes('due-soon') ? 'due-soon' : null;
+    }
+
+    // The sidebar list of overdue dates and those due within settings.reminderDays
+    async renderUpcoming() {
+        const list = document.getElementById('upcomingList');
         try {
-            const entries = await this.getAllEntries();
-            if (!entries || entries.length === 0) return false;
-            
-            const dateStr = date.toISOString().split('T')[0];
-            
-            return entries.some(entry => {
-                const entryDateStr = entry.date.split('T')[0];
-                return entryDateStr === dateStr;
+            const items = (await this.getDueItems(undefined, this.toDateKey(new Date(Date.now() + (this.settings.reminderDays + 1) * 24 * 60 * 60 * 1000))))
+                .filter(item => this.getDueStatus(item.date));
+            document.getElementById('upcomingCount').textContent = items.length > 0 ? items.length : '';
+            if (items.length === 0) {
+                list.replaceChildren(createElement('small', { className: 'text-muted', text: `Nothing due in the next ${this.settings.reminderDays} days` }));
+                return;
+            }
+
+            const dayMs = 24 * 60 * 60 * 1000;
+            const today = new Date(`${this.toDateKey(new Date())}T00:00`);
+            list.replaceChildren(...items.map(({ entry, field, date }) => {
+                const days = Math.round((new Date(`${date}T00:00`) - today) / dayMs);
+                const when = days < 0 ? `${-days} ${days === -1 ? 'day' : 'days'} overdue`
+                    : days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+                return createElement('button', {
+                    className: `list-group-item list-group-item-action px-2 py-1 small upcoming-item${days < 0 ? ' overdue' : ''}`,
+                    attrs: { type: 'button', 'data-entry-id': entry.id }
+                }, [
+                    createElement('div', { className: 'fw-semibold text-truncate', text: entry.title }),
+                    createElement('div', { className: 'd-flex justify-content-between gap-2' }, [
+                        createElement('span', { className: 'text-muted text-truncate', text: `${field.label} ${this.formatFieldValue(field, date)}` }),
+                        createElement('span', { className: 'text-nowrap upcoming-when', text: when })
+                    ])
+                ]);
+            }));
+        } catch (error) {
+            console.error('Error loading upcoming dates:', error);
+            list.replaceChildren(createElement('small', { className: 'text-danger', text: 'Failed to load upcoming dates' }));
+        }
+    }
+
+    // The service worker (sw.js) caches the app for offline use, receives shared
+    // files and shows reminders. It opens the app at ?entry=<id> for a clicked
+    // reminder and at ?share=1 for shared files.
+    async initServiceWorker() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'open-entry') this.previewEntry(e.data.entryId);
             });
+            try {
+                await navigator.serviceWorker.register('sw.js');
+            } catch (error) {
+                console.warn('Could not register the service worker:', error);
+            }
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('entry')) {
+            this.previewEntry(params.get('entry'));
+        }
+        if (params.has('share')) {
+            this.receiveSharedFiles();
+        }
+        if (params.has('entry') || params.has('share')) {
+            params.delete('entry');
+            params.delete('share');
+            const query = params.toString();
+            history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+        }
+    }
+
+    // Open the upload form on the files the service worker kept from a share
+    async receiveSharedFiles() {
+        if (!('caches' in window)) return;
+        try {
+            const cache = await caches.open(SHARE_CACHE);
+            const metaResponse = await cache.match('shared/meta.json');
+            if (!metaResponse) return;
+            const meta = await metaResponse.json();
+
+            const files = [];
+            for (let index = 0; index < meta.count; index++) {
+                const response = await cache.match(`shared/${index}`);
+                if (!response) continue;
+                const name = decodeURIComponent(response.headers.get('X-File-Name') || `shared-${index + 1}`);
+                files.push(new File([await response.blob()], name, { type: response.headers.get('Content-Type') || '' }));
+            }
+            await caches.delete(SHARE_CACHE);
+
+            if (files.length === 0) {
+                this.showToast('Info', 'Only files can be shared to the library', 'info');
+                return;
+            }
+            this.openUploadWithFiles(files, { title: meta.title, description: meta.text });
         } catch (error) {
-            console.error('Error checking date entries:', error);
-            return false;
+            console.error('Error receiving shared files:', error);
+            this.showToast('Error', 'Could not open the shared files', 'danger');
+        }
+    }
+
+    // Reminders are shown by the service worker (sw.js), which also checks on
+    // its own through periodic background sync once the app is installed
+    async initReminders() {
+        document.getElementById('upcomingList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-entry-id]');
+            if (item) this.previewEntry(item.dataset.entryId);
+        });
+        document.getElementById('enableRemindersBtn').addEventListener('click', () => this.enableReminders());
+        document.getElementById('reminderDaysInput').value = this.settings.reminderDays;
+        document.getElementById('reminderDaysInput').addEventListener('change', (e) => {
+            const days = parseInt(e.target.value);
+            if (!days || days < 1) {
+                e.target.value = this.settings.reminderDays;
+                return;
+            }
+            this.settings.reminderDays = days;
+            this.saveSettings();
+            this.renderUpcoming();
+            this.loadEntries();
+            this.checkReminders();
+        });
+
+        this.renderReminderPermission();
+        this.checkReminders();
+        setInterval(() => this.checkReminders(), REMINDER_CHECK_INTERVAL);
+    }
+
+    renderReminderPermission() {
+        const supported = 'Notification' in window && 'serviceWorker' in navigator;
+        const button = document.getElementById('enableRemindersBtn');
+        button.classList.toggle('d-none', !supported || Notification.permission === 'granted');
+        button.disabled = supported && Notification.permission === 'denied';
+        button.title = button.disabled ? 'Notifications are blocked in the browser settings' : 'Get a notification when something is due';
+    }
+
+    async enableReminders() {
+        const permission = await Notification.requestPermission();
+        this.renderReminderPermission();
+        if (permission !== 'granted') {
+            this.showToast('Warning', 'Reminders need permission to show notifications', 'warning');
+            return;
+        }
+
+        try {
+            const registration = await this.getServiceWorker();
+            // Only installed apps get periodic sync; elsewhere reminders come while the page is open
+            if (registration && registration.periodicSync) {
+                const status = await navigator.permissions.query({ name: 'periodic-background-sync' }).catch(() => null);
+                if (status && status.state === 'granted') {
+                    await registration.periodicSync.register('reminders', { minInterval: REMINDER_SYNC_INTERVAL });
+                }
+            }
+        } catch (error) {
+            console.warn('Could not register periodic reminder checks:', error);
+        }
+        this.showToast('Success', 'Reminders turned on', 'success');
+        this.checkReminders();
+    }
+
+    // The active service worker's registration, or null when none was registered
+    async getServiceWorker() {
+        if (!('serviceWorker' in navigator) || !(await navigator.serviceWorker.getRegistration())) return null;
+        return navigator.serviceWorker.ready;
+    }
+
+    // Hand the service worker every due date up to a year ahead; it notifies
+    // once when each becomes due soon and once when it is overdue
+    async checkReminders() {
+        try {
+            const registration = await this.getServiceWorker();
+            if (!registration) return;
+            const horizon = new Date(Date.now() + REMINDER_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+            const items = (await this.getDueItems(undefined, this.toDateKey(horizon))).map(({ entry, field, date }) => {
+                const due = new Date(`${date}T00:00`);
+                return {
+                    key: `${entry.uid}:${field.id}:${date}`,
+                    entryId: entry.id,
+                    // Reminders outlive the page in Cache Storage, so titles stay out of it while the vault is on
+                    title: this.vault.enabled ? undefined : entry.title,
+                    label: field.label,
+                    date,
+                    soonFrom: this.toDateKey(new Date(due.getFullYear(), due.getMonth(), due.getDate() - this.settings.reminderDays))
+                };
+            });
+            registration.active.postMessage({ type: 'reminders', items });
+        } catch (error) {
+            console.error('Error checking reminders:', error);
+        }
+    }
+
+    selectDate(date) {
+        this.currentDate = date;
+        this.renderCalendar(this.currentDate);
+        this.updateCurrentDateDisplay();
+        this.loadEntries();
+    }
+
+    setDateRange(range) {
+        this.dateRange = range;
+        this.renderCalendar();
+        this.updateCurrentDateDisplay();
+        this.loadEntries();
+    }
+
+    setShowAllDates(showAll) {
+        if (this.showAllDates === showAll) return;
+        this.showAllDates = showAll;
+        document.getElementById('showAllDates').checked = showAll;
+        document.querySelectorAll('input[name="dateRange"]').forEach(radio => {
+            radio.disabled = showAll;
+        });
+        this.renderCalendar();
+        this.updateCurrentDateDisplay();
+        this.loadEntries();
+    }
+
+    // Start (inclusive) and end (exclusive) of the day, week or month containing date
+    getDateRangeBounds(date, range) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        if (range === 'week') {
+            start.setDate(start.getDate() - start.getDay());
+        } else if (range === 'month') {
+            start.setDate(1);
         }
+
+        const end = new Date(start);
+        if (range === 'week') {
+            end.setDate(end.getDate() + 7);
+        } else if (range === 'month') {
+            end.setMonth(end.getMonth() + 1);
+        } else {
+            end.setDate(end.getDate() + 1);
+        }
+
+        return { start, end };
+    }
+
+    // Local calendar day as YYYY-MM-DD
+    toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    isSameDay(a, b) {
+        return a.getDate() === b.getDate() &&
+               a.getMonth() === b.getMonth() &&
+               a.getFullYear() === b.getFullYear();
+    }
+
+    isToday(date) {
+        return this.isSameDay(date, new Date());
     }
 
     updateCurrentDateDisplay() {
         const currentDateEl = document.getElementById('currentDate');
-        if (currentDateEl) {
+        if (!currentDateEl) return;
+
+        if (this.showAllDates) {
+            currentDateEl.textContent = 'All dates';
+        } else if (this.dateRange === 'week') {
+            const { start, end } = this.getDateRangeBounds(this.currentDate, 'week');
+            const last = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+            const options = { month: 'short', day: 'numeric' };
+            currentDateEl.textContent = `${start.toLocaleDateString('en-US', options)} – ${last.toLocaleDateString('en-US', { ...options, year: 'numeric' })}`;
+        } else if (this.dateRange === 'month') {
+            currentDateEl.textContent = this.currentDate.toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long'
+            });
+        } else {
             currentDateEl.textContent = this.currentDate.toLocaleDateString('en-US', {
                 weekday: 'long',
                 year: 'numeric',
@@ -589,58 +5810,553 @@ class DocumentManager {
         }
     }
 
+    // Collect every tag with its entry count and spellings. Entries in the
+    // trash count for renaming but not for filtering.
     async loadTags() {
         try {
+            const stats = new Map();
             const entries = await this.getAllEntries();
-            const tags = new Set();
-            
             entries.forEach(entry => {
-                if (entry.tags && entry.tags.length > 0) {
-                    entry.tags.forEach(tag => tags.add(tag.toLowerCase()));
-                }
+                (entry.tags || []).forEach(tag => {
+                    const key = tag.toLowerCase();
+                    const stat = stats.get(key) || { key, count: 0, spellings: new Map() };
+                    if (!entry.deletedAt) stat.count++;
+                    stat.spellings.set(tag, (stat.spellings.get(tag) || 0) + 1);
+                    stats.set(key, stat);
+                });
             });
-            
-            const tagFilter = document.getElementById('tagFilter');
-            const currentTag = tagFilter.value;
-            
-            // Clear existing options except "All Tags"
-            tagFilter.innerHTML = '<option value="all">All Tags</option>';
-            
-            // Add tags sorted alphabetically
-            Array.from(tags).sort().forEach(tag => {
-                const option = document.createElement('option');
-                option.value = tag;
-                option.textContent = tag;
-                tagFilter.appendChild(option);
+
+            // Show each tag the way most entries spell it
+            stats.forEach(stat => {
+                stat.name = Array.from(stat.spellings).sort((a, b) => b[1] - a[1])[0][0];
             });
-            
-            // Restore selected tag if it still exists
-            if (currentTag !== 'all' && tags.has(currentTag.toLowerCase())) {
-                tagFilter.value = currentTag;
-            }
+            this.tagStats = stats;
+
+            // Drop selections for tags that no longer exist
+            this.selectedTags.forEach(key => {
+                if (!stats.has(key) || stats.get(key).count === 0) this.selectedTags.delete(key);
+            });
+            this.renderTagFilter();
+
+            // The filters for custom text fields offer the values in use, read in the same pass
+            const textFields = this.settings.customFields.filter(field => field.type === 'text');
+            this.fieldValues = new Map(textFields.map(field => [field.id, new Map()]));
+            entries.filter(entry => !entry.deletedAt && entry.fields).forEach(entry => {
+                textFields.forEach(field => {
+                    const value = entry.fields[field.id];
+                    const values = this.fieldValues.get(field.id);
+                    if (typeof value === 'string' && value && !values.has(value.toLowerCase())) {
+                        values.set(value.toLowerCase(), value);
+                    }
+                });
+            });
+            this.renderFieldFilters();
+            this.renderCustomFieldSuggestions();
         } catch (error) {
             console.error('Error loading tags:', error);
         }
     }
 
+    getSortedTags() {
+        return Array.from(this.tagStats.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    renderTagFilter() {
+        const tagFilter = document.getElementById('tagFilter');
+        const tags = this.getSortedTags().filter(stat => stat.count > 0);
+        tagFilter.innerHTML = '';
+
+        if (tags.length === 0) {
+            tagFilter.appendChild(createElement('small', { className: 'text-muted', text: 'No tags yet' }));
+            return;
+        }
+        tags.forEach(stat => {
+            const selected = this.selectedTags.has(stat.key);
+            const option = this.createTagBadge(stat.name, 'button');
+            option.type = 'button';
+            option.classList.add('tag-filter-option');
+            option.classList.toggle('active', selected);
+            option.dataset.tag = stat.key;
+            option.setAttribute('aria-pressed', selected);
+            option.title = `${stat.count} ${stat.count === 1 ? 'entry' : 'entries'}`;
+            tagFilter.appendChild(option);
+        });
+    }
+
+    createTagBadge(tag, tagName = 'span') {
+        const badge = createElement(tagName, { className: 'badge tag-badge', text: tag });
+        const color = this.settings.tagColors[tag.toLowerCase()];
+        if (color) {
+            badge.style.backgroundColor = color;
+            badge.style.color = getContrastColor(color);
+        }
+        return badge;
+    }
+
+    renderTagManager() {
+        const list = document.getElementById('tagManagerList');
+        const tags = this.getSortedTags();
+        list.innerHTML = '';
+
+        if (tags.length === 0) {
+            list.appendChild(createElement('div', { className: 'text-muted text-center py-3', text: 'No tags yet' }));
+            return;
+        }
+
+        tags.forEach(stat => {
+            const color = this.settings.tagColors[stat.key];
+            const checkbox = createElement('input', {
+                className: 'form-check-input mt-0',
+                attrs: { type: 'checkbox', 'aria-label': `Select ${stat.name}` }
+            });
+            checkbox.value = stat.key;
+            const colorInput = createElement('input', {
+                className: 'form-control form-control-color form-control-sm',
+                attrs: { type: 'color', title: 'Badge color', value: color || '#36b9cc' }
+            });
+            const clearColorBtn = createElement('button', {
+                className: `btn btn-sm btn-outline-secondary${color ? '' : ' invisible'}`,
+                attrs: { type: 'button', title: 'Use the default color' }
+            }, [createElement('i', { className: 'bi bi-x-lg' })]);
+            const nameInput = createElement('input', {
+                className: 'form-control form-control-sm',
+                attrs: { type: 'text', 'aria-label': `Rename ${stat.name}` }
+            });
+            nameInput.value = stat.name;
+            const count = createElement('span', {
+                className: 'badge bg-light text-dark',
+                text: `${stat.count} ${stat.count === 1 ? 'entry' : 'entries'}`
+            });
+
+            colorInput.addEventListener('change', () => this.setTagColor(stat.key, colorInput.value));
+            clearColorBtn.addEventListener('click', () => this.setTagColor(stat.key, null));
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') nameInput.blur();
+            });
+            nameInput.addEventListener('change', () => this.renameTag(stat, nameInput.value.trim()));
+
+            list.appendChild(createElement('div', {
+                className: 'list-group-item d-flex align-items-center gap-2 tag-manager-item'
+            }, [checkbox, colorInput, clearColorBtn, nameInput, count]));
+        });
+    }
+
+    setTagColor(key, color) {
+        const tagColors = { ...this.settings.tagColors };
+        if (color) {
+            tagColors[key] = color;
+        } else {
+            delete tagColors[key];
+        }
+        this.settings.tagColors = tagColors;
+        this.saveSettings();
+        this.renderTagManager();
+        this.renderTagFilter();
+        this.loadEntries();
+    }
+
+    async renameTag(stat, name) {
+        if (!name || name.includes(',')) {
+            this.showToast('Error', 'Tag names cannot be empty or contain commas', 'danger');
+            this.renderTagManager();
+            return;
+        }
+        if (name === stat.name) return;
+
+        const target = this.tagStats.get(name.toLowerCase());
+        if (target && target !== stat && !confirm(`"${target.name}" already exists. Merge "${stat.name}" into it?`)) {
+            this.renderTagManager();
+            return;
+        }
+        await this.applyTagRename([stat.key], target && target !== stat ? target.name : name);
+    }
+
+    async mergeCheckedTags() {
+        const keys = Array.from(document.querySelectorAll('#tagManagerList input[type="checkbox"]:checked'), checkbox => checkbox.value);
+        const input = document.getElementById('mergeTagsInput');
+        const name = input.value.trim();
+
+        if (keys.length < 2) {
+            this.showToast('Error', 'Check at least two tags to merge', 'danger');
+            return;
+        }
+        if (!name || name.includes(',')) {
+            this.showToast('Error', 'Enter the name of the merged tag, without commas', 'danger');
+            input.focus();
+            return;
+        }
+
+        // Merging into an existing tag keeps its spelling
+        const existing = this.tagStats.get(name.toLowerCase());
+        await this.applyTagRename(keys, existing ? existing.name : name);
+        input.value = '';
+    }
+
+    async applyTagRename(keys, name) {
+        try {
+            const count = await this.renameTags(keys, name);
+            this.showToast('Success', `Updated ${count} ${count === 1 ? 'entry' : 'entries'}`, 'success');
+        } catch (error) {
+            console.error('Error renaming tags:', error);
+            this.showToast('Error', this.getStorageErrorMessage(error, 'Failed to rename tags'), 'danger');
+        }
+        await this.loadTags();
+        this.renderTagManager();
+        this.loadEntries();
+    }
+
+    // Replace the tags with the given keys by target on every entry, trash
+    // included, in one transaction. The tags index is case-sensitive, so each
+    // spelling of a tag is looked up. Like moving to the trash this is not an
+    // edit: no versions are recorded and updatedAt is left alone.
+    async renameTags(keys, target) {
+        const sources = new Set(keys);
+        const spellings = keys.flatMap(key => this.tagStats.has(key) ? Array.from(this.tagStats.get(key).spellings.keys()) : []);
+        const time = new Date().toISOString();
+
+        const count = await this.storage.transaction([STORE_NAME, CHANGES_STORE], async (tx) => {
+            const entries = new Map();
+            for (const spelling of spellings) {
+                (await tx.getAllFromIndex(STORE_NAME, 'tags', spelling)).forEach(entry => entries.set(entry.id, entry));
+            }
+
+            for (const entry of entries.values()) {
+                const updated = {
+                    ...entry,
+                    tags: this.parseTags(entry.tags.map(tag => sources.has(tag.toLowerCase()) ? target : tag).join(','))
+                };
+                stampFieldTimes(updated, entry, time);
+                await tx.put(STORE_NAME, updated);
+                await this.logChange(tx, updated.uid, 'put', false);
+            }
+            return entries.size;
+        });
+
+        // The merged tag keeps a color from one of its sources if it has none
+        const targetKey = target.toLowerCase();
+        const tagColors = { ...this.settings.tagColors };
+        if (!tagColors[targetKey]) {
+            const color = keys.map(key => tagColors[key]).find(Boolean);
+            if (color) tagColors[targetKey] = color;
+        }
+        keys.filter(key => key !== targetKey).forEach(key => delete tagColors[key]);
+        this.settings.tagColors = tagColors;
+        this.saveSettings();
+
+        if (keys.some(key => this.selectedTags.delete(key))) {
+            this.selectedTags.add(targetKey);
+        }
+        this.afterLocalChange();
+        return count;
+    }
+
+    // Suggest existing tags for the part of the tags input being typed
+    initTagAutocomplete() {
+        const input = document.getElementById('tagsInput');
+        const suggestions = document.getElementById('tagSuggestions');
+        let activeIndex = -1;
+
+        const close = () => {
+            suggestions.classList.add('d-none');
+            input.setAttribute('aria-expanded', 'false');
+            activeIndex = -1;
+        };
+        const accept = (name) => {
+            const parts = input.value.split(',');
+            parts[parts.length - 1] = ` ${name}`;
+            input.value = `${parts.join(',').replace(/^\s+/, '')}, `;
+            close();
+            input.focus();
+        };
+        const highlight = (index) => {
+            const items = suggestions.querySelectorAll('.list-group-item');
+            activeIndex = (index + items.length) % items.length;
+            items.forEach((item, i) => {
+                item.classList.toggle('active', i === activeIndex);
+                item.setAttribute('aria-selected', i === activeIndex);
+            });
+        };
+
+        input.addEventListener('input', () => {
+            const current = input.value.split(',').pop().trim().toLowerCase();
+            const used = new Set(this.parseTags(input.value).map(tag => tag.toLowerCase()));
+            const matches = current
+                ? this.getSortedTags().filter(stat => stat.key.startsWith(current) && (!used.has(stat.key) || stat.key === current)).slice(0, 8)
+                : [];
+
+            suggestions.innerHTML = '';
+            if (matches.length === 0 || (matches.length === 1 && matches[0].name === input.value.split(',').pop().trim())) {
+                close();
+                return;
+            }
+            matches.forEach(stat => {
+                const item = createElement('button', {
+                    className: 'list-group-item list-group-item-action py-1',
+                    attrs: { type: 'button', role: 'option', tabindex: '-1' }
+                }, [this.createTagBadge(stat.name)]);
+                // mousedown fires before the input loses focus
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    accept(stat.name);
+                });
+                suggestions.appendChild(item);
+            });
+            suggestions.classList.remove('d-none');
+            input.setAttribute('aria-expanded', 'true');
+            activeIndex = -1;
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (suggestions.classList.contains('d-none')) return;
+            const items = suggestions.querySelectorAll('.list-group-item');
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                highlight(activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if ((e.key === 'Enter' || e.key === 'Tab') && activeIndex >= 0) {
+                e.preventDefault();
+                accept(items[activeIndex].textContent);
+            } else if (e.key === 'Escape') {
+                // Keep the modal open
+                e.stopPropagation();
+                close();
+            }
+        });
+        input.addEventListener('blur', close);
+    }
+
     clearFilters() {
+        clearTimeout(this.searchTimer);
         document.getElementById('searchInput').value = '';
         document.getElementById('typeFilter').value = 'all';
-        document.getElementById('tagFilter').value = 'all';
+        document.querySelectorAll('#customFieldFilters [data-filter-field]').forEach(input => { input.value = ''; });
+        this.selectedTags.clear();
+        this.renderTagFilter();
         this.loadEntries();
     }
 
-    showToast(title, message, type = 'info') {
+    // Write every entry and its original file into a ZIP with a manifest.json
+    async exportLibrary() {
+        try {
+            const entries = (await this.getAllEntries()).filter(entry => !entry.deletedAt);
+            if (entries.length === 0) {
+                this.showToast('Info', 'There are no entries to export', 'info');
+                return;
+            }
+
+            const files = [];
+            const manifestEntries = [];
+            for (const entry of entries) {
+                const blob = await this.getFile(entry.id);
+                if (!blob) {
+                    console.warn(`Skipping entry ${entry.id} in export: file not found`);
+                    continue;
+                }
+
+                const path = `files/${entry.id}-${entry.fileName.replace(/[\\/]/g, '_')}`;
+                files.push({ name: path, data: blob, date: new Date(entry.updatedAt || entry.date) });
+                manifestEntries.push({
+                    id: entry.id,
+                    uid: entry.uid,
+                    title: entry.title,
+                    description: entry.description || '',
+                    tags: entry.tags || [],
+                    fields: entry.fields || {},
+                    fileName: entry.fileName,
+                    fileType: entry.fileType,
+                    type: entry.type,
+                    mimeType: entry.mimeType,
+                    fileSize: entry.fileSize,
+                    date: entry.date,
+                    createdAt: entry.createdAt,
+                    updatedAt: entry.updatedAt,
+                    file: path
+                });
+            }
+
+            const manifest = {
+                format: BACKUP_FORMAT,
+                version: BACKUP_VERSION,
+                exportedAt: new Date().toISOString(),
+                entries: manifestEntries
+            };
+            files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+            const zip = await createZip(files);
+            this.downloadBlob(zip, `rabindra-library-${this.toDateKey(new Date())}.zip`);
+            this.showToast('Success', `Exported ${manifestEntries.length} ${manifestEntries.length === 1 ? 'entry' : 'entries'}`, 'success');
+        } catch (error) {
+            console.error('Error exporting library:', error);
+            this.showToast('Error', 'Failed to export library', 'danger');
+        }
+    }
+
+    // Check one manifest entry; returns an error message or null
+    validateManifestEntry(item, archive) {
+        if (!item || typeof item !== 'object') return 'not an object';
+        if (!Number.isInteger(item.id) || item.id < 1) return 'missing or invalid id';
+        const problem = this.validateEntryFields(item);
+        if (problem) return problem;
+        if (typeof item.file !== 'string' || !archive.has(item.file)) return 'file missing from archive';
+        return this.validateFile({ type: item.mimeType, size: archive.get(item.file).length });
+    }
+
+    // Check the fields of an entry from outside, a backup or the sync server;
+    // returns an error message or null
+    validateEntryFields(item) {
+        if (!item || typeof item !== 'object') return 'not an object';
+        if (item.uid !== undefined && typeof item.uid !== 'string') return 'invalid uid';
+        if (typeof item.title !== 'string' || !item.title.trim()) return 'missing title';
+        if (typeof item.fileName !== 'string' || !item.fileName) return 'missing file name';
+        if (item.description !== undefined && typeof item.description !== 'string') return 'invalid description';
+        if (item.tags !== undefined && (!Array.isArray(item.tags) || item.tags.some(tag => typeof tag !== 'string'))) return 'invalid tags';
+        if (item.fields !== undefined && (!item.fields || typeof item.fields !== 'object' || Array.isArray(item.fields) ||
+            Object.values(item.fields).some(value => typeof value !== 'string' && typeof value !== 'number'))) return 'invalid custom fields';
+        if (isNaN(new Date(item.date).getTime())) return 'invalid date';
+        return null;
+    }
+
+    // Restore entries from an exported ZIP. An entry whose id already exists is
+    // either skipped or merged into the existing one, depending on the chosen mode.
+    async importLibrary() {
+        const fileInput = document.getElementById('importFileInput');
+        const mode = document.getElementById('importConflictMode').value;
+        const resultEl = document.getElementById('importResult');
+        const importBtn = document.getElementById('importLibraryBtn');
+
+        if (!fileInput.files || fileInput.files.length === 0) {
+            this.showToast('Error', 'Please select a backup file', 'danger');
+            return;
+        }
+
+        importBtn.disabled = true;
+        resultEl.innerHTML = '<div class="text-muted small">Importing...</div>';
+        const report = { imported: 0, merged: 0, skipped: 0, invalid: [] };
+
+        try {
+            const archive = await unzip(await fileInput.files[0].arrayBuffer());
+            if (!archive.has('manifest.json')) {
+                throw new Error('The archive has no manifest.json');
+            }
+
+            let manifest;
+            try {
+                manifest = JSON.parse(new TextDecoder().decode(archive.get('manifest.json')));
+            } catch (error) {
+                throw new Error('manifest.json is not valid JSON');
+            }
+            if (!manifest || manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.entries)) {
+                throw new Error('This is not a library backup');
+            }
+            if (manifest.version > BACKUP_VERSION) {
+                throw new Error('The backup was made by a newer version of the app');
+            }
+
+            for (const item of manifest.entries) {
+                const problem = this.validateManifestEntry(item, archive);
+                if (problem) {
+                    report.invalid.push(`${item && item.title ? item.title : 'Unnamed entry'}: ${problem}`);
+                    continue;
+                }
+
+                const blob = new Blob([archive.get(item.file)], { type: item.mimeType });
+                const contentError = await this.checkFileContent(blob);
+                if (contentError) {
+                    report.invalid.push(`${item.title}: ${contentError}`);
+                    continue;
+                }
+
+                const entry = {
+                    id: item.id,
+                    uid: item.uid,
+                    title: item.title.trim(),
+                    description: item.description || '',
+                    tags: item.tags || [],
+                    fields: item.fields || {},
+                    ...this.getFileFields({ name: item.fileName, type: item.mimeType, size: blob.size }),
+                    date: new Date(item.date).toISOString(),
+                    createdAt: item.createdAt || item.date,
+                    updatedAt: item.updatedAt || item.date
+                };
+
+                // The uid identifies the same document across libraries; only
+                // older backups without one are matched by their local id
+                const existing = entry.uid ? await this.getEntryByUid(entry.uid) : await this.getEntryById(entry.id);
+                if (existing && existing.id !== entry.id) {
+                    entry.id = existing.id;
+                }
+                if (!existing) {
+                    // The backup's id may belong to an unrelated entry here
+                    if (entry.uid) delete entry.id;
+                    const id = await this.addEntry(entry, blob);
+                    await this.indexEntryContent(id, blob, entry.fileType);
+                    report.imported++;
+                } else if (mode === 'merge') {
+                    // The newer side wins for title, description and file; tags are combined
+                    const importedIsNewer = new Date(entry.updatedAt) > new Date(existing.updatedAt || existing.date);
+                    const tags = [...(existing.tags || [])];
+                    entry.tags.forEach(tag => {
+                        if (!tags.some(existingTag => existingTag.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+                    });
+                    const merged = importedIsNewer
+                        ? { ...existing, ...entry, tags, date: existing.date, createdAt: existing.createdAt }
+                        : { ...existing, tags };
+                    await this.updateEntry(merged, importedIsNewer ? blob : null);
+                    if (importedIsNewer) {
+                        await this.indexEntryContent(merged.id, blob, merged.fileType);
+                    }
+                    report.merged++;
+                } else {
+                    report.skipped++;
+                }
+            }
+
+            resultEl.innerHTML = `
+                <div class="alert alert-${report.invalid.length > 0 ? 'warning' : 'success'} small mb-0">
+                    <div>Imported: ${report.imported}</div>
+                    <div>Merged: ${report.merged}</div>
+                    <div>Skipped (already present): ${report.skipped}</div>
+                    <div>Invalid: ${report.invalid.length}</div>
+                    ${report.invalid.length > 0 ? `<ul class="mb-0 mt-1">${report.invalid.map(problem => `<li>${escapeHTML(problem)}</li>`).join('')}</ul>` : ''}
+                </div>
+            `;
+            this.showToast('Success', `Imported ${report.imported}, merged ${report.merged}, skipped ${report.skipped + report.invalid.length}`, 'success');
+
+            if (report.imported + report.merged > 0) {
+                this.loadEntries();
+                this.loadTags();
+                this.renderCalendar();
+            }
+        } catch (error) {
+            console.error('Error importing library:', error);
+            resultEl.innerHTML = `<div class="alert alert-danger small mb-0">${escapeHTML(error.message)}</div>`;
+            this.showToast('Error', this.getStorageErrorMessage(error, 'Failed to import library'), 'danger');
+        } finally {
+            importBtn.disabled = false;
+        }
+    }
+
+    // action: optional { label, onClick } shown as a button in the toast, e.g. Undo
+    showToast(title, message, type = 'info', action = null) {
         const toastEl = document.getElementById('toastNotification');
         const toastTitle = document.getElementById('toastTitle');
         const toastMessage = document.getElementById('toastMessage');
+        const toastAction = document.getElementById('toastAction');
         
         // Set toast content
         toastTitle.textContent = title;
         toastMessage.textContent = message;
         
         // Set toast color based on type
-        const toast = new bootstrap.Toast(toastEl);
+        const toast = new bootstrap.Toast(toastEl, { delay: action ? 8000 : 5000 });
+        toastAction.classList.toggle('d-none', !action);
+        toastAction.onclick = null;
+        if (action) {
+            toastAction.textContent = action.label;
+            toastAction.onclick = () => {
+                toast.hide();
+                action.onClick();
+            };
+        }
         toastEl.classList.remove('bg-primary', 'bg-success', 'bg-danger', 'bg-warning', 'bg-info');
         
         switch (type) {
@@ -0,0 +1,345 @@
+// Reference server for the REST storage adapter (storage.js) and the sync
+// engine (sync.js). Uses only Node built-ins and keeps its data in JSON files:
+// the library in --data and the shared sync copy in sync.json next to it.
+//
+//   node server.js [--port 8787] [--data ./data/library.json] [--quota <bytes>]
+//                  [--host 127.0.0.1] [--token <secret>] [--origin <page origin>]
+//
+// Every request must carry the token in an X-Storage-Token header; without
+// --token (or STORAGE_TOKEN) a random one is made and printed at start. Only
+// this machine can connect unless --host says otherwise, and browsers only
+// let the page at --origin call the server.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DB_VERSION, DB_SCHEMA, MemoryAdapter, StorageQuotaError } = require('./storage.js');
+const { getFieldTime, mergeSyncedEntries } = require('./sync.js');
+
+// Requests carry whole files as base64, a third larger than the file. The
+// file type policy allows files of up to 100MB (MAX_SIZE_LIMIT in script.js).
+const MAX_BODY_SIZE = 144 * 1024 * 1024;
+const TOKEN_HEADER = 'x-storage-token';
+
+function parseArgs(argv) {
+    const options = {
+        port: 8787,
+        data: path.join(__dirname, 'data', 'library.json'),
+        quota: 0,
+        host: '127.0.0.1',
+        token: process.env.STORAGE_TOKEN || '',
+        origin: ''
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+        const value = argv[i + 1];
+        options[name] = name === 'data' ? path.resolve(value) : typeof options[name] === 'number' ? Number(value) : value;
+    }
+    return options;
+}
+
+// JSON from the URL; a malformed value is the client's mistake, like a bad body in readBody()
+function parseParam(text, name) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw Object.assign(new Error(`The ${name} is not valid JSON`), { status: 400 });
+    }
+}
+
+function isStore(name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(DB_SCHEMA, name);
+}
+
+// Path segments are percent-encoded keys and uids
+function decodePathPart(part) {
+    try {
+        return decodeURIComponent(part);
+    } catch (error) {
+        throw Object.assign(new Error(`The path segment ${part} is not valid percent-encoding`), { status: 400 });
+    }
+}
+
+function isSameSecret(given, expected) {
+    const a = Buffer.from(String(given || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            let body;
+            try {
+                body = text ? JSON.parse(text) : {};
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+                return;
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                reject(Object.assign(new Error('Request body must be a JSON object'), { status: 400 }));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+class StorageServer {
+    constructor(options) {
+        this.options = options;
+        this.storage = new MemoryAdapter();
+        this.syncFile = path.join(path.dirname(options.data), 'sync.json');
+        // Every entry any browser has pushed, by uid, stamped with the revision of its last change
+        this.sync = { rev: 0, records: {} };
+        if (!options.token) {
+            this.options = { ...options, token: crypto.randomBytes(24).toString('base64url') };
+            this.generatedToken = true;
+        }
+    }
+
+    // CORS headers for the configured page origin only; other pages get none,
+    // so browsers keep them from reading the replies
+    corsHeaders(req) {
+        if (!this.options.origin || req.headers.origin !== this.options.origin) return {};
+        return {
+            'Access-Control-Allow-Origin': this.options.origin,
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, X-Storage-Token',
+            'Vary': 'Origin'
+        };
+    }
+
+    async start() {
+        if (fs.existsSync(this.options.data)) {
+            this.storage.load(JSON.parse(fs.readFileSync(this.options.data, 'utf8')));
+        }
+        await this.storage.open();
+        if (fs.existsSync(this.syncFile)) {
+            this.sync = JSON.parse(fs.readFileSync(this.syncFile, 'utf8'));
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                const status = error instanceof StorageQuotaError ? 507
+                    : error.status || (error.name === 'ConstraintError' ? 409 : error.name === 'DataError' ? 400 : 500);
+                if (status === 500) console.error(error);
+                send(res, status, { error: error.message, name: error.name }, this.corsHeaders(req));
+            });
+        });
+        this.server.listen(this.options.port, this.options.host, () => {
+            console.log(`Storage server listening on http://${this.options.host}:${this.options.port}`);
+            if (this.generatedToken) {
+                console.log(`Access token: ${this.options.token} (set --token to keep one across restarts)`);
+            }
+            if (!this.options.origin) {
+                console.log('No --origin given: browser pages cannot call this server');
+            }
+        });
+    }
+
+    async handle(req, res) {
+        const headers = this.corsHeaders(req);
+        if (req.method === 'OPTIONS') {
+            send(res, 204, undefined, headers);
+            return;
+        }
+        if (!isSameSecret(req.headers[TOKEN_HEADER], this.options.token)) {
+            throw Object.assign(new Error('A valid X-Storage-Token header is required'), { status: 401, name: 'Unauthorized' });
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const parts = url.pathname.split('/').filter(Boolean).map(decodePathPart);
+
+        if (req.method === 'POST' && url.pathname === '/api/open') {
+            send(res, 200, { result: { version: DB_VERSION } }, headers);
+            return;
+        }
+        if (req.method === 'POST' && url.pathname === '/api/batch') {
+            const { operations } = await readBody(req);
+            await this.applyBatch(operations === undefined ? [] : operations);
+            send(res, 200, { result: null }, headers);
+            return;
+        }
+
+        if (parts[0] === 'api' && parts[1] === 'sync') {
+            send(res, 200, { result: await this.handleSync(req, url, parts.slice(2)) }, headers);
+            return;
+        }
+
+        // /api/stores/:store/:resource[/:key]
+        const [api, stores, store, resource, key] = parts;
+        if (api !== 'api' || stores !== 'stores' || !isStore(store)) {
+            throw Object.assign(new Error(`Not found: ${url.pathname}`), { status: 404 });
+        }
+        const index = url.searchParams.get('index');
+        const query = url.searchParams.has('query') ? parseParam(url.searchParams.get('query'), 'query') : undefined;
+
+        let result;
+        if (req.method === 'GET' && resource === 'records' && key !== undefined) {
+            result = await this.storage.get(store, parseParam(key, 'key'));
+        } else if (req.method === 'GET' && resource === 'records') {
+            result = index
+                ? await this.storage.getAllFromIndex(store, index, query)
+                : await this.storage.getAll(store, query);
+        } else if (req.method === 'GET' && resource === 'keys') {
+            result = index
+                ? await this.storage.getAllKeysFromIndex(store, index, query)
+                : await this.storage.getAllKeys(store, query);
+        } else if (req.method === 'GET' && resource === 'page' && index) {
+            const after = url.searchParams.has('after') ? parseParam(url.searchParams.get('after'), 'after parameter') : undefined;
+            result = await this.storage.getPage(store, index, {
+                query,
+                after,
+                direction: url.searchParams.get('direction') === 'prev' ? 'prev' : 'next',
+                limit: Number(url.searchParams.get('limit')) || undefined
+            });
+        } else if (req.method === 'GET' && resource === 'count') {
+            result = await this.storage.count(store);
+        } else if (req.method === 'POST' && resource === 'next-key') {
+            result = this.storage.reserveKey(store);
+            this.save();
+        } else {
+            throw Object.assign(new Error(`Not found: ${req.method} ${url.pathname}`), { status: 404 });
+        }
+        // undefined would drop the property, and the client reads payload.result
+        send(res, 200, { result: result === undefined ? null : result }, headers);
+    }
+
+    async handleSync(req, url, [resource, uid]) {
+        if (req.method === 'GET' && resource === 'changes') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            const records = Object.values(this.sync.records)
+                .filter(record => record.rev > since)
+                .sort((a, b) => a.rev - b.rev)
+                .map(({ file, ...record }) => record);
+            return { rev: this.sync.rev, records };
+        }
+        if (req.method === 'GET' && resource === 'files' && uid !== undefined) {
+            const record = this.sync.records[uid];
+            if (!record || !record.file) {
+                throw Object.assign(new Error(`No file for ${uid}`), { status: 404 });
+            }
+            return record.file;
+        }
+        if (req.method === 'POST' && resource === 'push') {
+            const { file, ...record } = this.pushSyncRecord(await readBody(req));
+            return record;
+        }
+        throw Object.assign(new Error(`Not found: ${req.method} ${url.pathname}`), { status: 404 });
+    }
+
+    // Merge a pushed entry into the shared copy with the same rules the browser uses
+    pushSyncRecord({ uid, deleted, entry, baseTags, file }) {
+        if (typeof uid !== 'string' || !uid || (!deleted && (!entry || typeof entry !== 'object'))) {
+            throw Object.assign(new Error('A push needs a uid and an entry'), { status: 400 });
+        }
+
+        const current = this.sync.records[uid];
+        // A permanent delete wins over any edit
+        if (current && current.deleted) return current;
+
+        let record;
+        if (deleted) {
+            record = { uid, deleted: true };
+        } else {
+            if (!current && !file) {
+                throw Object.assign(new Error(`The file for ${uid} was not sent`), { status: 409, name: 'FileRequired' });
+            }
+            const merged = current ? mergeSyncedEntries(entry, current.entry, baseTags) : entry;
+            // The file belongs to whichever side won the record
+            const useSentFile = file && getFieldTime(merged, 'file') === getFieldTime(entry, 'file');
+            record = { uid, entry: merged, file: useSentFile ? file : current.file };
+        }
+
+        this.sync.rev++;
+        this.sync.records[uid] = { ...record, rev: this.sync.rev };
+        const text = JSON.stringify(this.sync);
+        if (this.options.quota > 0 && Buffer.byteLength(text) > this.options.quota) {
+            this.sync.rev--;
+            if (current) {
+                this.sync.records[uid] = current;
+            } else {
+                delete this.sync.records[uid];
+            }
+            throw new StorageQuotaError();
+        }
+        this.writeFile(this.syncFile, text);
+        return this.sync.records[uid];
+    }
+
+    // All operations are applied or none are; over quota the batch is rolled back
+    async applyBatch(operations) {
+        if (!Array.isArray(operations)) {
+            throw Object.assign(new Error('operations must be an array'), { status: 400 });
+        }
+        operations.forEach(operation => {
+            if (!operation || typeof operation !== 'object' || !isStore(operation.store)) {
+                throw Object.assign(new Error(`Unknown store in operation: ${operation && operation.store}`), { status: 400 });
+            }
+        });
+        const storeNames = [...new Set(operations.map(operation => operation.store))];
+        await this.storage.transaction(storeNames, async (tx) => {
+            for (const { type, store, key, value } of operations) {
+                if (type === 'put') {
+                    await tx.put(store, value, key);
+                } else if (type === 'add') {
+                    await tx.add(store, value, key);
+                } else if (type === 'delete') {
+                    await tx.delete(store, key);
+                } else {
+                    throw Object.assign(new Error(`Unknown operation: ${type}`), { status: 400 });
+                }
+            }
+
+            const text = JSON.stringify(this.storage);
+            if (this.options.quota > 0 && Buffer.byteLength(text) > this.options.quota) {
+                throw new StorageQuotaError();
+            }
+            this.write(text);
+        });
+    }
+
+    save() {
+        this.write(JSON.stringify(this.storage));
+    }
+
+    write(text) {
+        this.writeFile(this.options.data, text);
+    }
+
+    // Write to a temporary file first so a crash never leaves half a file behind
+    writeFile(file, text) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const temporary = `${file}.tmp`;
+        fs.writeFileSync(temporary, text);
+        fs.renameSync(temporary, file);
+    }
+}
+
+new StorageServer(parseArgs(process.argv.slice(2))).start().catch(error => {
+    console.error('Failed to start storage server:', error.message);
+    process.exit(1);
+});
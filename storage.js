@@ -0,0 +1,817 @@
+// Storage backends for the document library. index.html loads this before
+// script.js, and server.js requires it, so it has to run in both the browser and Node.
+
+// Database configuration
+const DB_NAME = 'RabindraInfoTechDB';
+const DB_VERSION = 10;
+const STORE_NAME = 'entries';
+const FILES_STORE = 'files';
+const TEXTS_STORE = 'texts';
+const TERMS_STORE = 'terms';
+const VERSIONS_STORE = 'versions';
+const CHANGES_STORE = 'changes';
+const THUMBNAILS_STORE = 'thumbnails';
+
+// Object stores with their keys and indexes. IndexedDB creates them on upgrade;
+// the memory adapter (and so the reference server) emulates them.
+const DB_SCHEMA = {
+    [STORE_NAME]: {
+        keyPath: 'id',
+        autoIncrement: true,
+        indexes: {
+            date: { keyPath: 'date' },
+            type: { keyPath: 'type' },
+            // The entry list can be sorted by any of these
+            sortTitle: { keyPath: 'sortTitle' },
+            fileSize: { keyPath: 'fileSize' },
+            // SHA-256 of the file, for finding duplicates. Entries stored before
+            // version 9 get theirs from the app, since hashing cannot run in an upgrade.
+            contentHash: { keyPath: 'contentHash' },
+            // Custom field values as [field id, value]; see getFieldKeys()
+            fieldValues: { keyPath: 'fieldKeys', multiEntry: true },
+            tags: { keyPath: 'tags', multiEntry: true },
+            uid: { keyPath: 'uid', unique: true }
+        }
+    },
+    // File content is kept out of the entries, keyed by entry id
+    [FILES_STORE]: { indexes: {} },
+    // Small JPEG previews for the entry list as { blob }, keyed by entry id.
+    // blob is null when none could be made, so it is not tried again.
+    [THUMBNAILS_STORE]: { indexes: {} },
+    // Full-text search: extracted text per entry and an inverted index of its terms
+    [TEXTS_STORE]: { indexes: {} },
+    [TERMS_STORE]: {
+        keyPath: ['term', 'entryId'],
+        indexes: {
+            entryId: { keyPath: 'entryId' }
+        }
+    },
+    // Snapshots of entries taken before each update
+    [VERSIONS_STORE]: {
+        keyPath: 'versionId',
+        autoIncrement: true,
+        indexes: {
+            entryId: { keyPath: 'entryId' }
+        }
+    },
+    // Local changes waiting to be pushed by the sync engine (see sync.js)
+    [CHANGES_STORE]: {
+        keyPath: 'seq',
+        autoIncrement: true,
+        indexes: {
+            uid: { keyPath: 'uid' }
+        }
+    }
+};
+
+// Entries sort by title without regard to case
+function getSortTitle(title) {
+    return (title || '').toLowerCase();
+}
+
+// Keys for the fieldValues index from an entry's custom fields. Text is
+// lowercased so filters ignore case; numbers and dates keep their order.
+function getFieldKeys(fields) {
+    return Object.entries(fields || {})
+        .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+        .map(([id, value]) => [id, typeof value === 'string' ? value.toLowerCase() : value]);
+}
+
+// Convert a base64 data URL (as stored by version 1) into a Blob
+function dataURLToBlob(dataURL) {
+    const [header, base64] = dataURL.split(',');
+    const mimeType = header.match(/^data:([^;,]*)/)[1];
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+// Identifies an entry across browsers; local ids are only unique per library
+function createUid() {
+    if (typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Thrown by every adapter when the backend has no room left
+class StorageQuotaError extends Error {
+    constructor(message = 'Storage is full. Delete some files or empty the trash and try again.') {
+        super(message);
+        this.name = 'StorageQuotaError';
+    }
+}
+
+function isValidKey(key) {
+    if (typeof key === 'number') return !isNaN(key);
+    if (typeof key === 'string') return true;
+    if (Array.isArray(key)) return key.every(isValidKey);
+    return false;
+}
+
+// IndexedDB key order: numbers sort before strings, strings before arrays
+function compareKeys(a, b) {
+    const rank = (key) => typeof key === 'number' ? 0 : typeof key === 'string' ? 1 : 2;
+    const rankA = rank(a);
+    const rankB = rank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    if (rankA === 2) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const result = compareKeys(a[i], b[i]);
+            if (result !== 0) return result;
+        }
+        return a.length - b.length;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Order of two cursor positions, { key, primaryKey }, in an index
+function comparePositions(a, b) {
+    return compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey);
+}
+
+// A key range every adapter understands; leave a bound undefined for an open end
+function keyRange(lower, upper, lowerOpen = false, upperOpen = false) {
+    return { isKeyRange: true, lower, upper, lowerOpen, upperOpen };
+}
+
+// Whether a key matches a query: nothing (all keys), a single key or a keyRange()
+function keyInRange(key, query) {
+    if (query === undefined || query === null) return true;
+    if (!query.isKeyRange) return compareKeys(key, query) === 0;
+
+    if (query.lower !== undefined) {
+        const result = compareKeys(key, query.lower);
+        if (result < 0 || (result === 0 && query.lowerOpen)) return false;
+    }
+    if (query.upper !== undefined) {
+        const result = compareKeys(key, query.upper);
+        if (result > 0 || (result === 0 && query.upperOpen)) return false;
+    }
+    return true;
+}
+
+// Read a key path (a property name, or an array of them for compound keys) from a value
+function extractKey(value, keyPath) {
+    if (Array.isArray(keyPath)) {
+        const key = keyPath.map(path => value[path]);
+        return key.every(isValidKey) ? key : undefined;
+    }
+    return value[keyPath];
+}
+
+// Keys a record contributes to an index; a multiEntry index gets one per array item
+function getIndexKeys(value, index) {
+    const key = extractKey(value, index.keyPath);
+    if (index.multiEntry && Array.isArray(key)) {
+        const keys = [];
+        key.filter(isValidKey).forEach(item => {
+            if (!keys.some(other => compareKeys(other, item) === 0)) keys.push(item);
+        });
+        return keys;
+    }
+    return isValidKey(key) ? [key] : [];
+}
+
+// Blobs cannot travel as JSON, so they are sent as { $blob: { type, data } } with base64 data
+async function encodeValue(value) {
+    if (typeof Blob !== 'undefined' && value instanceof Blob) {
+        const bytes = new Uint8Array(await value.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return { $blob: { type: value.type, data: btoa(binary) } };
+    }
+    if (Array.isArray(value)) {
+        return Promise.all(value.map(encodeValue));
+    }
+    if (value && typeof value === 'object') {
+        const encoded = {};
+        for (const [key, item] of Object.entries(value)) {
+            encoded[key] = await encodeValue(item);
+        }
+        return encoded;
+    }
+    return value;
+}
+
+function decodeValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeValue);
+    }
+    if (value && typeof value === 'object') {
+        if (value.$blob) {
+            return dataURLToBlob(`data:${value.$blob.type};base64,${value.$blob.data}`);
+        }
+        const decoded = {};
+        Object.entries(value).forEach(([key, item]) => {
+            decoded[key] = decodeValue(item);
+        });
+        return decoded;
+    }
+    return value;
+}
+
+// Call a JSON API in the shape server.js uses: the reply is { result } or { error, name }.
+// token goes in the X-Storage-Token header server.js checks. A network failure
+// is thrown with name 'NetworkError' so callers can tell it apart from the
+// server rejecting the request.
+async function requestJSON(baseURL, method, path, body, token = '') {
+    const headers = { 'X-Storage-Token': token };
+    if (body) headers['Content-Type'] = 'application/json';
+    let response;
+    try {
+        response = await fetch(`${baseURL}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (error) {
+        const networkError = new Error(`Cannot reach the server at ${baseURL}`);
+        networkError.name = 'NetworkError';
+        throw networkError;
+    }
+
+    if (response.status === 507) {
+        throw new StorageQuotaError();
+    }
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(payload.error || `Server responded with ${response.status}`);
+        error.name = payload.name || 'Error';
+        throw error;
+    }
+    return payload.result;
+}
+
+// What every backend provides. Keys and queries follow IndexedDB: a query is
+// a single key or a keyRange(), and results come back in key order.
+class StorageAdapter {
+    get label() {
+        return 'Storage';
+    }
+
+    async open() {}
+
+    async get(store, key) {
+        throw new Error(`${this.label} does not implement get`);
+    }
+
+    async getAll(store, query) {
+        throw new Error(`${this.label} does not implement getAll`);
+    }
+
+    async getAllKeys(store, query) {
+        throw new Error(`${this.label} does not implement getAllKeys`);
+    }
+
+    async getAllFromIndex(store, index, query) {
+        throw new Error(`${this.label} does not implement getAllFromIndex`);
+    }
+
+    // Primary keys of the records whose index key matches the query
+    async getAllKeysFromIndex(store, index, query) {
+        throw new Error(`${this.label} does not implement getAllKeysFromIndex`);
+    }
+
+    async count(store) {
+        throw new Error(`${this.label} does not implement count`);
+    }
+
+    // Up to limit records in index order ('next') or reverse order ('prev'),
+    // starting after the position { key, primaryKey } the previous page ended
+    // at. Returns { records: [{ key, primaryKey, value }], done }.
+    async getPage(store, index, { query, direction = 'next', after, limit = 50 } = {}) {
+        throw new Error(`${this.label} does not implement getPage`);
+    }
+
+    // Run callback(tx) with access to the given stores. tx has the read methods
+    // above plus put, add and delete, which all commit together or not at all.
+    async transaction(storeNames, callback) {
+        throw new Error(`${this.label} does not implement transaction`);
+    }
+
+    async put(store, value, key) {
+        return this.transaction([store], tx => tx.put(store, value, key));
+    }
+
+    async add(store, value, key) {
+        return this.transaction([store], tx => tx.add(store, value, key));
+    }
+
+    async delete(store, key) {
+        return this.transaction([store], tx => tx.delete(store, key));
+    }
+}
+
+class IndexedDBAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.db = null;
+    }
+
+    get label() {
+        return 'IndexedDB';
+    }
+
+    async open() {
+        this.db = await idb.openDB(DB_NAME, DB_VERSION, {
+            upgrade: (db, oldVersion, newVersion, transaction) => this.upgrade(db, oldVersion, transaction)
+        });
+    }
+
+    async upgrade(db, oldVersion, transaction) {
+        Object.entries(DB_SCHEMA).forEach(([name, { keyPath, autoIncrement, indexes }]) => {
+            const store = db.objectStoreNames.contains(name)
+                ? transaction.objectStore(name)
+                : db.createObjectStore(name, keyPath ? { keyPath, autoIncrement } : {});
+            Object.entries(indexes).forEach(([indexName, index]) => {
+                if (store.indexNames.contains(indexName)) return;
+                store.createIndex(indexName, index.keyPath, { multiEntry: !!index.multiEntry, unique: !!index.unique });
+            });
+        });
+
+        // Version 1 kept each file as a data URL inside its entry
+        if (oldVersion > 0 && oldVersion < 2) {
+            const filesStore = transaction.objectStore(FILES_STORE);
+            let cursor = await transaction.objectStore(STORE_NAME).openCursor();
+            while (cursor) {
+                const entry = cursor.value;
+                if (entry.fileData) {
+                    const blob = dataURLToBlob(entry.fileData);
+                    await filesStore.put(blob, entry.id);
+                    delete entry.fileData;
+                    entry.fileSize = blob.size;
+                    entry.mimeType = blob.type;
+                    await cursor.update(entry);
+                }
+                cursor = await cursor.continue();
+            }
+        }
+
+        // Version 5 tracks creation and last update separately from the upload date
+        if (oldVersion > 0 && oldVersion < 5) {
+            let cursor = await transaction.objectStore(STORE_NAME).openCursor();
+            while (cursor) {
+                const entry = cursor.value;
+                if (!entry.createdAt) {
+                    entry.createdAt = entry.date;
+                    entry.updatedAt = entry.date;
+                    await cursor.update(entry);
+                }
+                cursor = await cursor.continue();
+            }
+        }
+
+        // Version 6 gives every entry a uid for syncing between browsers
+        if (oldVersion > 0 && oldVersion < 6) {
+            let cursor = await transaction.objectStore(STORE_NAME).openCursor();
+            while (cursor) {
+                if (!cursor.value.uid) {
+                    await cursor.update({ ...cursor.value, uid: createUid() });
+                }
+                cursor = await cursor.continue();
+            }
+        }
+
+        // Version 8 sorts the entry list through an index on a lower-case title
+        if (oldVersion > 0 && oldVersion < 8) {
+            let cursor = await transaction.objectStore(STORE_NAME).openCursor();
+            while (cursor) {
+                await cursor.update({ ...cursor.value, sortTitle: getSortTitle(cursor.value.title) });
+                cursor = await cursor.continue();
+            }
+        }
+    }
+
+    toIDBQuery(query) {
+        if (!query || !query.isKeyRange) return query;
+        const { lower, upper, lowerOpen, upperOpen } = query;
+        if (lower !== undefined && upper !== undefined) return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+        if (lower !== undefined) return IDBKeyRange.lowerBound(lower, lowerOpen);
+        if (upper !== undefined) return IDBKeyRange.upperBound(upper, upperOpen);
+        return undefined;
+    }
+
+    get(store, key) {
+        return this.db.get(store, key);
+    }
+
+    getAll(store, query) {
+        return this.db.getAll(store, this.toIDBQuery(query));
+    }
+
+    getAllKeys(store, query) {
+        return this.db.getAllKeys(store, this.toIDBQuery(query));
+    }
+
+    getAllFromIndex(store, index, query) {
+        return this.db.getAllFromIndex(store, index, this.toIDBQuery(query));
+    }
+
+    getAllKeysFromIndex(store, index, query) {
+        return this.db.getAllKeysFromIndex(store, index, this.toIDBQuery(query));
+    }
+
+    count(store) {
+        return this.db.count(store);
+    }
+
+    async getPage(store, index, { query, direction = 'next', after, limit = 50 } = {}) {
+        const source = this.db.transaction(store).store.index(index);
+        let cursor = await source.openCursor(this.toIDBQuery(query), direction);
+
+        if (cursor && after) {
+            // Jump to where the previous page ended, then step past that record
+            const position = comparePositions({ key: cursor.key, primaryKey: cursor.primaryKey }, after);
+            if (direction === 'prev' ? position > 0 : position < 0) {
+                cursor = await cursor.continuePrimaryKey(after.key, after.primaryKey);
+            }
+            if (cursor && comparePositions({ key: cursor.key, primaryKey: cursor.primaryKey }, after) === 0) {
+                cursor = await cursor.continue();
+            }
+        }
+
+        const records = [];
+        while (cursor && records.length < limit) {
+            records.push({ key: cursor.key, primaryKey: cursor.primaryKey, value: cursor.value });
+            cursor = await cursor.continue();
+        }
+        return { records, done: !cursor };
+    }
+
+    async transaction(storeNames, callback) {
+        const tx = this.db.transaction(storeNames, 'readwrite');
+        const getStore = (store) => tx.objectStore(store);
+        const methods = {
+            get: (store, key) => getStore(store).get(key),
+            getAll: (store, query) => getStore(store).getAll(this.toIDBQuery(query)),
+            getAllKeys: (store, query) => getStore(store).getAllKeys(this.toIDBQuery(query)),
+            getAllFromIndex: (store, index, query) => getStore(store).index(index).getAll(this.toIDBQuery(query)),
+            getAllKeysFromIndex: (store, index, query) => getStore(store).index(index).getAllKeys(this.toIDBQuery(query)),
+            count: (store) => getStore(store).count(),
+            put: (store, value, key) => getStore(store).put(value, key),
+            add: (store, value, key) => getStore(store).add(value, key),
+            delete: (store, key) => getStore(store).delete(key)
+        };
+
+        try {
+            const result = await callback(methods);
+            await tx.done;
+            return result;
+        } catch (error) {
+            try {
+                tx.abort();
+            } catch (abortError) {
+                // The transaction already finished or aborted itself
+            }
+            // A full disk aborts the transaction; the reason is on tx.error
+            const cause = error && error.name === 'AbortError' && tx.error ? tx.error : error;
+            throw cause && cause.name === 'QuotaExceededError' ? new StorageQuotaError() : cause;
+        }
+    }
+}
+
+// Keeps everything in memory for the life of the page. Also the fallback when
+// IndexedDB cannot be opened, and the store behind the reference server.
+class MemoryAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.stores = new Map();
+    }
+
+    get label() {
+        return 'in-memory storage';
+    }
+
+    async open() {
+        Object.keys(DB_SCHEMA).forEach(name => {
+            if (!this.stores.has(name)) {
+                this.stores.set(name, { records: new Map(), nextKey: 1 });
+            }
+        });
+    }
+
+    getStoreData(store) {
+        const data = this.stores.get(store);
+        if (!data) {
+            throw new Error(`Unknown object store: ${store}`);
+        }
+        return data;
+    }
+
+    // Records are copied in and out, as IndexedDB does, so callers cannot change them in place
+    clone(value) {
+        return value === undefined ? undefined : structuredClone(value);
+    }
+
+    getRecords(store, query) {
+        return Array.from(this.getStoreData(store).records.values())
+            .filter(record => keyInRange(record.key, query))
+            .sort((a, b) => compareKeys(a.key, b.key));
+    }
+
+    // { indexKey, record } for every index key matching the query, in index order
+    getIndexMatches(store, index, query) {
+        const definition = DB_SCHEMA[store].indexes[index];
+        if (!definition) {
+            throw new Error(`Unknown index ${index} on ${store}`);
+        }
+
+        const matches = [];
+        this.getStoreData(store).records.forEach(record => {
+            getIndexKeys(record.value, definition).forEach(indexKey => {
+                if (keyInRange(indexKey, query)) matches.push({ indexKey, record });
+            });
+        });
+        return matches
+            .sort((a, b) => compareKeys(a.indexKey, b.indexKey) || compareKeys(a.record.key, b.record.key));
+    }
+
+    getIndexRecords(store, index, query) {
+        return this.getIndexMatches(store, index, query).map(match => match.record);
+    }
+
+    async get(store, key) {
+        const record = this.getStoreData(store).records.get(JSON.stringify(key));
+        return record ? this.clone(record.value) : undefined;
+    }
+
+    async getAll(store, query) {
+        return this.getRecords(store, query).map(record => this.clone(record.value));
+    }
+
+    async getAllKeys(store, query) {
+        return this.getRecords(store, query).map(record => record.key);
+    }
+
+    async getAllFromIndex(store, index, query) {
+        return this.getIndexRecords(store, index, query).map(record => this.clone(record.value));
+    }
+
+    async getAllKeysFromIndex(store, index, query) {
+        return this.getIndexRecords(store, index, query).map(record => record.key);
+    }
+
+    async count(store) {
+        return this.getStoreData(store).records.size;
+    }
+
+    async getPage(store, index, { query, direction = 'next', after, limit = 50 } = {}) {
+        const positions = this.getIndexMatches(store, index, query)
+            .map(({ indexKey, record }) => ({ key: indexKey, primaryKey: record.key, value: record.value }));
+        if (direction === 'prev') positions.reverse();
+
+        const sign = direction === 'prev' ? -1 : 1;
+        const start = after ? positions.findIndex(position => sign * comparePositions(position, after) > 0) : 0;
+        if (start === -1) return { records: [], done: true };
+
+        const records = positions.slice(start, start + limit)
+            .map(position => ({ ...position, value: this.clone(position.value) }));
+        return { records, done: start + limit >= positions.length };
+    }
+
+    // Writes apply straight away; if the callback fails the stores it was given are put back
+    async transaction(storeNames, callback) {
+        const backups = storeNames.map(name => {
+            const data = this.getStoreData(name);
+            return [name, { records: new Map(data.records), nextKey: data.nextKey }];
+        });
+        const methods = {
+            get: (...args) => this.get(...args),
+            getAll: (...args) => this.getAll(...args),
+            getAllKeys: (...args) => this.getAllKeys(...args),
+            getAllFromIndex: (...args) => this.getAllFromIndex(...args),
+            getAllKeysFromIndex: (...args) => this.getAllKeysFromIndex(...args),
+            count: (...args) => this.count(...args),
+            put: async (store, value, key) => this.write(store, value, key, false),
+            add: async (store, value, key) => this.write(store, value, key, true),
+            delete: async (store, key) => {
+                this.getStoreData(store).records.delete(JSON.stringify(key));
+            }
+        };
+
+        try {
+            return await callback(methods);
+        } catch (error) {
+            backups.forEach(([name, backup]) => this.stores.set(name, backup));
+            throw error;
+        }
+    }
+
+    write(store, value, key, noOverwrite) {
+        const { keyPath, autoIncrement } = DB_SCHEMA[store];
+        const data = this.getStoreData(store);
+        value = this.clone(value);
+
+        if (keyPath) {
+            key = extractKey(value, keyPath);
+            if (key === undefined && autoIncrement) {
+                key = data.nextKey;
+                value[keyPath] = key;
+            }
+        } else if (key === undefined && autoIncrement) {
+            key = data.nextKey;
+        }
+        if (!isValidKey(key)) {
+            const error = new Error(`Invalid key for ${store}`);
+            error.name = 'DataError';
+            throw error;
+        }
+
+        const id = JSON.stringify(key);
+        if (noOverwrite && data.records.has(id)) {
+            const error = new Error(`Key ${id} already exists in ${store}`);
+            error.name = 'ConstraintError';
+            throw error;
+        }
+        Object.entries(DB_SCHEMA[store].indexes).forEach(([indexName, index]) => {
+            if (!index.unique) return;
+            const indexKeys = getIndexKeys(value, index);
+            data.records.forEach((record, recordId) => {
+                if (recordId === id) return;
+                if (getIndexKeys(record.value, index).some(other => indexKeys.some(indexKey => compareKeys(indexKey, other) === 0))) {
+                    const error = new Error(`Another record in ${store} has the same ${indexName}`);
+                    error.name = 'ConstraintError';
+                    throw error;
+                }
+            });
+        });
+        if (autoIncrement && typeof key === 'number' && key >= data.nextKey) {
+            data.nextKey = Math.floor(key) + 1;
+        }
+        data.records.set(id, { key, value });
+        return key;
+    }
+
+    // Hand out an auto-increment key without writing anything
+    reserveKey(store) {
+        return this.getStoreData(store).nextKey++;
+    }
+
+    toJSON() {
+        const snapshot = {};
+        this.stores.forEach((data, name) => {
+            snapshot[name] = { nextKey: data.nextKey, records: Array.from(data.records.values()) };
+        });
+        return snapshot;
+    }
+
+    load(snapshot) {
+        Object.entries(snapshot).forEach(([name, data]) => {
+            const records = new Map(data.records.map(record => [JSON.stringify(record.key), record]));
+            this.stores.set(name, { records, nextKey: data.nextKey });
+        });
+
+        // Snapshots saved before version 8 have no sortTitle on their entries;
+        // sealed titles (vault.js) have none on purpose
+        const entries = this.stores.get(STORE_NAME);
+        if (entries) {
+            entries.records.forEach(record => {
+                if (record.value.sortTitle === undefined && typeof record.value.title === 'string') {
+                    record.value.sortTitle = getSortTitle(record.value.title);
+                }
+            });
+        }
+    }
+}
+
+// Talks to a storage server over HTTP; server.js is a reference implementation
+class RestAdapter extends StorageAdapter {
+    constructor(baseURL, token = '') {
+        super();
+        this.baseURL = baseURL.replace(/\/+$/, '');
+        this.token = token;
+    }
+
+    get label() {
+        return `storage server at ${this.baseURL}`;
+    }
+
+    request(method, path, body) {
+        return requestJSON(this.baseURL, method, path, body, this.token);
+    }
+
+    storePath(store, resource, query, index, extra = {}) {
+        const params = new URLSearchParams();
+        if (index !== undefined) params.set('index', index);
+        if (query !== undefined && query !== null) params.set('query', JSON.stringify(query));
+        Object.entries(extra).forEach(([name, value]) => params.set(name, value));
+        const search = params.toString();
+        return `/api/stores/${encodeURIComponent(store)}/${resource}${search ? `?${search}` : ''}`;
+    }
+
+    async open() {
+        const { version } = await this.request('POST', '/api/open');
+        if (version !== DB_VERSION) {
+            throw new Error(`The ${this.label} uses schema version ${version}, expected ${DB_VERSION}`);
+        }
+    }
+
+    async get(store, key) {
+        const value = await this.request('GET', this.storePath(store, `records/${encodeURIComponent(JSON.stringify(key))}`));
+        // JSON has no undefined; a missing record comes back as null
+        return value === null ? undefined : decodeValue(value);
+    }
+
+    async getAll(store, query) {
+        return decodeValue(await this.request('GET', this.storePath(store, 'records', query)));
+    }
+
+    async getAllKeys(store, query) {
+        return this.request('GET', this.storePath(store, 'keys', query));
+    }
+
+    async getAllFromIndex(store, index, query) {
+        return decodeValue(await this.request('GET', this.storePath(store, 'records', query, index)));
+    }
+
+    async getAllKeysFromIndex(store, index, query) {
+        return this.request('GET', this.storePath(store, 'keys', query, index));
+    }
+
+    async count(store) {
+        return this.request('GET', this.storePath(store, 'count'));
+    }
+
+    async getPage(store, index, { query, direction = 'next', after, limit = 50 } = {}) {
+        const extra = { direction, limit };
+        if (after) extra.after = JSON.stringify(after);
+        const { records, done } = await this.request('GET', this.storePath(store, 'page', query, index, extra));
+        return { records: records.map(record => ({ ...record, value: decodeValue(record.value) })), done };
+    }
+
+    // Writes are collected and sent as one batch, which the server applies
+    // atomically. Reads inside the callback do not see the pending writes.
+    async transaction(storeNames, callback) {
+        const operations = [];
+        const methods = {
+            get: (...args) => this.get(...args),
+            getAll: (...args) => this.getAll(...args),
+            getAllKeys: (...args) => this.getAllKeys(...args),
+            getAllFromIndex: (...args) => this.getAllFromIndex(...args),
+            getAllKeysFromIndex: (...args) => this.getAllKeysFromIndex(...args),
+            count: (...args) => this.count(...args),
+            put: async (store, value, key) => {
+                operations.push({ type: 'put', store, key, value: await encodeValue(value) });
+                return key !== undefined ? key : extractKey(value, DB_SCHEMA[store].keyPath);
+            },
+            add: async (store, value, key) => {
+                const { keyPath, autoIncrement } = DB_SCHEMA[store];
+                // The caller expects the new key right away, so ask the server for one
+                if (autoIncrement && key === undefined && (!keyPath || extractKey(value, keyPath) === undefined)) {
+                    const reserved = await this.request('POST', this.storePath(store, 'next-key'));
+                    if (keyPath) {
+                        value = { ...value, [keyPath]: reserved };
+                    } else {
+                        key = reserved;
+                    }
+                }
+                operations.push({ type: 'add', store, key, value: await encodeValue(value) });
+                return key !== undefined ? key : extractKey(value, keyPath);
+            },
+            delete: async (store, key) => {
+                operations.push({ type: 'delete', store, key });
+            }
+        };
+
+        const result = await callback(methods);
+        if (operations.length > 0) {
+            await this.request('POST', '/api/batch', { operations });
+        }
+        return result;
+    }
+}
+
+// type is 'indexeddb' (default), 'memory' or 'rest'
+function createStorageAdapter(type, options = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemoryAdapter();
+        case 'rest':
+            return new RestAdapter(options.url, options.token);
+        default:
+            return new IndexedDBAdapter();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DB_VERSION,
+        DB_SCHEMA,
+        StorageQuotaError,
+        StorageAdapter,
+        MemoryAdapter,
+        keyRange,
+        createStorageAdapter
+    };
+}
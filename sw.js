@@ -0,0 +1,199 @@
+// Service worker. Keeps the app shell cached so the app opens offline,
+// receives files shared from other apps (the share_target in
+// manifest.webmanifest) and shows due date reminders: the page sends the due
+// dates it knows about (checkReminders() in script.js), and they are checked
+// again on every message and, for an installed app, on periodic background sync.
+
+// Bump the version when the shell changes so installs pick up the new files
+const APP_SHELL_CACHE = 'app-shell-v3';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icon-192.png',
+    'icon-512.png',
+    'css/bootstrap.min.css',
+    'css/bootstrap-icons.css',
+    // As the stylesheet asks for them, with the version query
+    'css/fonts/bootstrap-icons.woff2?e2f6e48459d8b0f394eea57aba940179',
+    'css/fonts/bootstrap-icons.woff?e2f6e48459d8b0f394eea57aba940179',
+    'css/styles.css',
+    'js/idb.js',
+    'js/bootstrap.bundle.min.js',
+    'js/storage.js',
+    'js/sync.js',
+    'js/vault.js',
+    'js/script.js'
+];
+// Files shared to the app wait here until the page picks them up (see receiveSharedFiles() in script.js)
+const SHARE_CACHE = 'shared-files';
+// The reminder list and which reminders were shown, kept as one JSON response
+const REMINDER_CACHE = 'reminders';
+const REMINDER_STATE_URL = 'reminder-state.json';
+// More reminders than this at once become a single summary
+const MAX_REMINDER_NOTIFICATIONS = 3;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(APP_SHELL_CACHE)
+        .then(cache => cache.addAll(APP_SHELL))
+        .then(() => self.skipWaiting()));
+});
+
+// Drop shells of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('app-shell-') && name !== APP_SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.href === new URL('share-target', self.registration.scope).href) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        // Any page URL (with ?entry= or ?share=) is the app
+        event.respondWith(fromCacheFirst(request, 'index.html'));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(fromCacheFirst(request));
+    }
+    // Everything else, like the storage and sync servers, goes to the network as usual
+});
+
+// Answer from the cache and refresh it in the background, so the next load
+// gets a newer shell; go to the network for anything not cached yet
+async function fromCacheFirst(request, cachedPath) {
+    const cache = await caches.open(APP_SHELL_CACHE);
+    const cached = await cache.match(cachedPath || request, { ignoreSearch: !!cachedPath });
+    const refresh = fetch(request).then(response => {
+        if (response.ok) cache.put(cachedPath || request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    return refresh;
+}
+
+// Keep the shared files for the page and open it on the upload form
+async function receiveShare(request) {
+    const form = await request.formData();
+    const files = form.getAll('files').filter(file => file instanceof File);
+    const cache = await caches.open(SHARE_CACHE);
+
+    for (const key of await cache.keys()) {
+        await cache.delete(key);
+    }
+    await Promise.all(files.map((file, index) => cache.put(`shared/${index}`, new Response(file, {
+        headers: { 'Content-Type': file.type || 'application/octet-stream', 'X-File-Name': encodeURIComponent(file.name) }
+    }))));
+    await cache.put('shared/meta.json', new Response(JSON.stringify({
+        count: files.length,
+        title: form.get('title') || '',
+        text: [form.get('text'), form.get('url')].filter(value => value).join('\n')
+    }), { headers: { 'Content-Type': 'application/json' } }));
+
+    return Response.redirect(new URL('./?share=1', self.registration.scope).href, 303);
+}
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'reminders') {
+        event.waitUntil(updateReminders(event.data.items));
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'reminders') {
+        event.waitUntil(loadReminderState().then(showDueReminders));
+    }
+});
+
+// Open the entry in a window of the app, or in a new one. A summary has no
+// entry and just brings up the app.
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { entryId } = event.notification.data || {};
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length > 0) {
+            await windows[0].focus();
+            if (entryId !== undefined) windows[0].postMessage({ type: 'open-entry', entryId });
+        } else {
+            await self.clients.openWindow(entryId !== undefined ? `./?entry=${encodeURIComponent(entryId)}` : './');
+        }
+    })());
+});
+
+// 'YYYY-MM-DD' in local time, like toDateKey() in script.js
+function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+async function loadReminderState() {
+    const cache = await caches.open(REMINDER_CACHE);
+    const response = await cache.match(REMINDER_STATE_URL);
+    return response ? response.json() : { items: [], shown: {} };
+}
+
+async function saveReminderState(state) {
+    const cache = await caches.open(REMINDER_CACHE);
+    await cache.put(REMINDER_STATE_URL, new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+async function updateReminders(items) {
+    const state = await loadReminderState();
+    state.items = items;
+    await showDueReminders(state);
+}
+
+// Notify once when a date comes within reach and once when it has passed;
+// more than a few at a time are summed up in one notification. Dates no
+// longer in the list are forgotten.
+async function showDueReminders(state) {
+    const today = toDateKey(new Date());
+    const shown = {};
+    const due = [];
+
+    state.items.forEach(item => {
+        const status = item.date < today ? 'overdue' : item.soonFrom <= today ? 'due-soon' : null;
+        if (state.shown[item.key]) shown[item.key] = state.shown[item.key];
+        if (status && shown[item.key] !== status) due.push({ item, status });
+    });
+
+    if (due.length > 0 && self.Notification && Notification.permission === 'granted') {
+        if (due.length > MAX_REMINDER_NOTIFICATIONS) {
+            const overdue = due.filter(({ status }) => status === 'overdue').length;
+            await self.registration.showNotification(`${due.length} documents need attention`, {
+                body: `${overdue} overdue, ${due.length - overdue} due soon`,
+                tag: 'reminders'
+            });
+        } else {
+            for (const { item, status } of due) {
+                const date = new Date(`${item.date}T00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+                // Items come without a title while the vault is on
+                const name = item.title || 'a document in the vault';
+                await self.registration.showNotification(status === 'overdue' ? `Overdue: ${name}` : `Due soon: ${name}`, {
+                    body: `${item.label}: ${date}`,
+                    tag: item.key,
+                    data: { entryId: item.entryId }
+                });
+            }
+        }
+        due.forEach(({ item, status }) => { shown[item.key] = status; });
+    }
+
+    await saveReminderState({ items: state.items, shown });
+}
@@ -0,0 +1,377 @@
+// Offline-first sync between browsers through a REST endpoint; server.js has a
+// reference implementation. Local creates, updates and deletes are logged in
+// the changes store. sync() pulls what others changed since the last pull and
+// then pushes the pending changes, one entry per request.
+
+// How often to sync while the page is open
+const SYNC_INTERVAL = 60 * 1000;
+// Wait this long after a local change so a burst of edits goes out together
+const SYNC_DELAY = 2000;
+// Sync progress kept in localStorage
+const SYNC_STATE_KEY = 'syncState';
+
+// Fields merged on their own. The rest of an entry (title, file, dates) is the
+// 'record' group, where the later write wins as a whole.
+const SYNC_FIELDS = ['description', 'tags', 'deletedAt'];
+// Bookkeeping that stays in this browser; contentHash is worked out from the local file
+const LOCAL_FIELDS = ['id', 'syncedTags', 'contentHash'];
+// Fields that describe the stored file, worked out here from the file itself
+const FILE_FIELDS = ['fileName', 'fileType', 'type', 'fileSize', 'mimeType'];
+
+// When a field group last changed, for entries written before fieldTimes existed too
+function getFieldTime(entry, field) {
+    return (entry.fieldTimes && entry.fieldTimes[field]) || entry.updatedAt || entry.date || '';
+}
+
+// Set entry.fieldTimes for a local write. previous is the stored entry
+// (undefined for a new one); groups that differ from it get the given time.
+function stampFieldTimes(entry, previous, time, fileChanged = false) {
+    const fieldTimes = {};
+    ['record', 'file', ...SYNC_FIELDS].forEach(field => {
+        fieldTimes[field] = previous ? getFieldTime(previous, field) : time;
+    });
+
+    if (previous) {
+        const differs = (field) => JSON.stringify(previous[field]) !== JSON.stringify(entry[field]);
+        const ignored = [...LOCAL_FIELDS, ...SYNC_FIELDS, 'uid', 'fieldTimes', 'updatedAt'];
+        const fields = new Set([...Object.keys(previous), ...Object.keys(entry)]);
+
+        SYNC_FIELDS.filter(differs).forEach(field => {
+            fieldTimes[field] = time;
+        });
+        if (fileChanged || Array.from(fields).some(field => !ignored.includes(field) && differs(field))) {
+            fieldTimes.record = time;
+        }
+        if (fileChanged) {
+            fieldTimes.file = time;
+        }
+    }
+    entry.fieldTimes = fieldTimes;
+}
+
+// Three-way merge of tag lists: a tag stays if either side added it, or if it
+// was there at the last sync and neither side removed it. Without a base
+// nothing is known to be removed, so the lists are combined.
+function mergeTags(localTags, remoteTags, baseTags) {
+    const local = localTags || [];
+    const remote = remoteTags || [];
+    const keep = (tag) => !baseTags || !baseTags.includes(tag) || (local.includes(tag) && remote.includes(tag));
+    return Array.from(new Set([...local, ...remote])).filter(keep);
+}
+
+// Merge two versions of the same entry. The later 'record' write wins for most
+// fields; description and trash state come from whichever side changed them
+// last, and tags are merged with mergeTags(). Ties go to the local side.
+function mergeSyncedEntries(local, remote, baseTags) {
+    const later = (field) => getFieldTime(remote, field) > getFieldTime(local, field) ? remote : local;
+    const winner = later('record');
+    const merged = {
+        ...winner,
+        fieldTimes: { record: getFieldTime(winner, 'record'), file: getFieldTime(winner, 'file') }
+    };
+
+    ['description', 'deletedAt'].forEach(field => {
+        const source = later(field);
+        if (source[field] === undefined) {
+            delete merged[field];
+        } else {
+            merged[field] = source[field];
+        }
+        merged.fieldTimes[field] = getFieldTime(source, field);
+    });
+    merged.tags = mergeTags(local.tags, remote.tags, baseTags);
+    merged.fieldTimes.tags = getFieldTime(later('tags'), 'tags');
+    // sort() would put a missing side last
+    merged.updatedAt = [local.updatedAt, remote.updatedAt].filter(Boolean).sort().pop();
+    return merged;
+}
+
+// The part of an entry other browsers see
+function toSyncedEntry(entry) {
+    const shared = { ...entry };
+    LOCAL_FIELDS.forEach(field => delete shared[field]);
+    return shared;
+}
+
+function isSameEntry(a, b) {
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Array.from(fields).every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+}
+
+class SyncEngine {
+    constructor(manager) {
+        this.manager = manager;
+        this.isSyncing = false;
+        this.syncAgain = false;
+        this.syncTimer = null;
+        // Records left out by checkRemote() in the current sync
+        this.rejected = 0;
+    }
+
+    get url() {
+        return (this.manager.settings.syncUrl || '').replace(/\/+$/, '');
+    }
+
+    get enabled() {
+        return !!this.url;
+    }
+
+    start() {
+        window.addEventListener('online', () => this.sync());
+        setInterval(() => this.sync(), SYNC_INTERVAL);
+        this.sync();
+    }
+
+    // Called after every local change
+    scheduleSync() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.sync(), SYNC_DELAY);
+    }
+
+    // A different endpoint starts again from the beginning
+    loadState() {
+        const state = this.manager.getLocalStore(SYNC_STATE_KEY, {});
+        return state.url === this.url ? state : { url: this.url, rev: 0, seeded: false };
+    }
+
+    saveState(state) {
+        this.manager.setLocalStore(SYNC_STATE_KEY, state);
+    }
+
+    request(method, path, body) {
+        return requestJSON(this.url, method, path, body, this.manager.settings.syncToken);
+    }
+
+    // Pending changes coalesced per entry: the last operation wins and the
+    // file is sent if any of them replaced it
+    async getPendingChanges() {
+        const pending = new Map();
+        const changes = await this.manager.storage.getAll(CHANGES_STORE);
+        changes.forEach(change => {
+            const previous = pending.get(change.uid);
+            const fileChanged = change.fileChanged || (!!previous && previous.fileChanged);
+            pending.set(change.uid, { ...change, fileChanged: change.op === 'put' && fileChanged });
+        });
+        return pending;
+    }
+
+    async sync() {
+        if (!this.enabled) {
+            // Changes are not logged while sync is off, so start over when it is turned back on
+            this.saveState({});
+            this.manager.updateSyncStatus('disabled');
+            return;
+        }
+        if (this.isSyncing) {
+            this.syncAgain = true;
+            return;
+        }
+
+        this.isSyncing = true;
+        this.rejected = 0;
+        this.manager.updateSyncStatus('syncing');
+        try {
+            const state = this.loadState();
+            if (!state.seeded) {
+                await this.seedChanges();
+                state.seeded = true;
+                this.saveState(state);
+            }
+
+            const pulled = await this.pull(state);
+            const pushed = await this.push();
+            if (pulled + pushed > 0) {
+                this.manager.refreshAfterSync();
+            }
+            if (this.rejected > 0) {
+                const count = this.rejected === 1 ? '1 entry from the server was' : `${this.rejected} entries from the server were`;
+                this.manager.showToast('Warning', `${count} not saved: sealed by another browser's vault, or a file that is not allowed`, 'warning');
+            }
+            this.manager.updateSyncStatus('synced');
+        } catch (error) {
+            console.error('Sync failed:', error);
+            const pending = await this.getPendingChanges().then(changes => changes.size, () => 0);
+            const offline = error.name === 'NetworkError' || !navigator.onLine;
+            this.manager.updateSyncStatus(offline ? 'offline' : 'error', { pending, message: error.message });
+        } finally {
+            this.isSyncing = false;
+            if (this.syncAgain) {
+                this.syncAgain = false;
+                this.scheduleSync();
+            }
+        }
+    }
+
+    // First sync with an endpoint: every entry in the library is a change to push
+    async seedChanges() {
+        const entries = await this.manager.getAllEntries();
+        await this.manager.storage.transaction([CHANGES_STORE], async (tx) => {
+            for (const entry of entries) {
+                await this.manager.logChange(tx, entry.uid, 'put', true);
+            }
+        });
+    }
+
+    // Apply everything the server saw since the last pull. Returns the number of local entries changed.
+    async pull(state) {
+        const { rev, records } = await this.request('GET', `/api/sync/changes?since=${state.rev}`);
+        const pending = await this.getPendingChanges();
+
+        let changed = 0;
+        for (const record of records) {
+            if (await this.applyRemote(record, pending.has(record.uid))) changed++;
+        }
+
+        state.rev = rev;
+        this.saveState(state);
+        return changed;
+    }
+
+    async applyRemote(record, hasLocalChanges) {
+        const local = await this.manager.getEntryByUid(record.uid);
+        if (record.deleted) {
+            // A permanent delete wins over any edit
+            if (!local) return false;
+            await this.manager.removeEntry(local.id, { fromSync: true });
+            return true;
+        }
+
+        const remote = await this.openRemote(record.uid, record.entry);
+        if (!remote) return false;
+        if (!local) {
+            const checked = await this.checkRemote(record.uid, remote, await this.fetchFile(record.uid));
+            if (!checked) return false;
+            const id = await this.manager.addEntry({ ...checked.entry, syncedTags: remote.tags }, checked.file, { fromSync: true });
+            await this.manager.indexEntryContent(id, checked.file, checked.entry.fileType);
+            return true;
+        }
+
+        // Local edits not pushed yet are merged in; the push sends the result
+        const entry = hasLocalChanges ? mergeSyncedEntries(local, remote, local.syncedTags) : remote;
+        return this.saveRemote(local, entry, remote.tags);
+    }
+
+    // Entries are pushed sealed while the vault is on (see pushEntry()); one
+    // sealed with a key this browser does not have is left out
+    async openRemote(uid, entry) {
+        if (!entry || typeof entry !== 'object') return this.reject(uid, 'not an object');
+        try {
+            return await this.manager.vault.openEntry(entry);
+        } catch (error) {
+            return this.reject(uid, error.message);
+        }
+    }
+
+    reject(uid, problem) {
+        console.warn(`Skipped entry ${uid} from the sync server: ${problem}`);
+        this.rejected++;
+        return null;
+    }
+
+    // Write an entry that came from (or was merged with) the server over the
+    // local copy. baseTags are the server's tags, the base for the next merge.
+    async saveRemote(local, remote, baseTags) {
+        const entry = { ...toSyncedEntry(remote), id: local.id, syncedTags: baseTags, contentHash: local.contentHash };
+        if (isSameEntry(local, entry)) return false;
+
+        const fileChanged = getFieldTime(entry, 'file') !== getFieldTime(local, 'file');
+        const checked = await this.checkRemote(local.uid, entry, fileChanged ? await this.fetchFile(local.uid) : null, local);
+        if (!checked) return false;
+        await this.manager.updateEntry(checked.entry, checked.file, { fromSync: true });
+        if (checked.file) {
+            await this.manager.indexEntryContent(local.id, checked.file, checked.entry.fileType);
+        }
+        return true;
+    }
+
+    // Hold a record from the server to the rules of an import: well formed
+    // fields, and a file of an allowed type and size whose content matches.
+    // The file fields come from the file itself, which is stored with the type
+    // FILE_TYPES gives it; without a new file they stay as stored locally.
+    // Returns { entry, file }, or null for a record that is left out.
+    async checkRemote(uid, entry, sent, local = null) {
+        const problem = this.manager.validateEntryFields(entry);
+        if (problem) return this.reject(uid, problem);
+
+        let blob;
+        try {
+            blob = await this.manager.vault.openBlob(sent);
+        } catch (error) {
+            return this.reject(uid, error.message);
+        }
+        if (!blob) {
+            if (!local) return this.reject(uid, 'file missing');
+            const fileFields = {};
+            FILE_FIELDS.forEach(field => { fileFields[field] = local[field]; });
+            return { entry: { ...entry, ...fileFields }, file: null };
+        }
+
+        const file = new File([blob], entry.fileName, { type: blob.type });
+        const fileProblem = this.manager.validateFile(file) || await this.manager.checkFileContent(file);
+        if (fileProblem) return this.reject(uid, fileProblem);
+        const fields = this.manager.getFileFields(file);
+        fields.mimeType = FILE_TYPES[fields.fileType].mimeTypes[0];
+        return { entry: { ...entry, ...fields }, file: new Blob([blob], { type: fields.mimeType }) };
+    }
+
+    async fetchFile(uid) {
+        return decodeValue(await this.request('GET', `/api/sync/files/${encodeURIComponent(uid)}`));
+    }
+
+    // Push pending changes; the server merges each one with its copy and returns
+    // the result. Returns the number of local entries changed by those results.
+    async push() {
+        const pending = await this.getPendingChanges();
+        let changed = 0;
+
+        for (const change of pending.values()) {
+            const local = await this.manager.getEntryByUid(change.uid);
+            let result;
+            if (change.op === 'delete' || !local) {
+                result = await this.request('POST', '/api/sync/push', { uid: change.uid, deleted: true });
+            } else {
+                result = await this.pushEntry(local, change.fileChanged);
+            }
+
+            // Edits made while the request was out go with the next push; keep them
+            const newer = await this.manager.storage.getAllFromIndex(CHANGES_STORE, 'uid', change.uid);
+            await this.manager.clearChanges(change.uid, change.seq);
+            if (!local || newer.some(other => other.seq > change.seq)) continue;
+
+            const current = await this.manager.getEntryByUid(change.uid);
+            if (!current) continue;
+            if (result.deleted) {
+                await this.manager.removeEntry(current.id, { fromSync: true });
+                changed++;
+            } else {
+                const remote = await this.openRemote(change.uid, result.entry);
+                if (remote && await this.saveRemote(current, remote, remote.tags)) changed++;
+            }
+        }
+        return changed;
+    }
+
+    // The entry and file go as stored, so what the vault seals stays sealed on the server
+    async pushEntry(entry, fileChanged) {
+        const { storage } = this.manager;
+        const stored = await storage.get(STORE_NAME, entry.id);
+        const body = { uid: entry.uid, entry: toSyncedEntry(stored), baseTags: entry.syncedTags };
+        const sendFile = async () => {
+            body.file = await encodeValue(await storage.get(FILES_STORE, entry.id));
+        };
+
+        if (fileChanged) await sendFile();
+        try {
+            return await this.request('POST', '/api/sync/push', body);
+        } catch (error) {
+            // The server has never seen this entry's file
+            if (error.name !== 'FileRequired' || body.file) throw error;
+            await sendFile();
+            return this.request('POST', '/api/sync/push', body);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getFieldTime, mergeTags, mergeSyncedEntries };
+}
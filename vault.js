@@ -0,0 +1,450 @@
+// Optional vault mode: file content, thumbnails, old versions, extracted text,
+// titles, descriptions, file names, MIME types and custom text fields are
+// encrypted with AES-GCM before they are stored, and go to a sync server that
+// way too. They are sealed with a random data key; the passphrase only wraps
+// that key (PBKDF2), and changing it seals everything again under a new data
+// key. Custom text values are found through HMACs in the fieldValues index,
+// like search terms. Tags, dates, sizes, types and custom date and number
+// fields stay readable: the tag filter and the sync server's tag merge need
+// tags as they are, and the calendar, reminders and range filters need an order.
+
+// The vault's salt and wrapped data keys, kept in localStorage
+const VAULT_KEY = 'vault';
+const VAULT_ITERATIONS = 600000;
+const VAULT_MIN_PASSPHRASE = 8;
+// Type of a stored Blob holding a sealed file; the real type is inside
+const VAULT_BLOB_TYPE = 'application/x-vault-sealed';
+// Key ids are this many hex characters, stored in front of every sealed value
+const VAULT_KEY_ID_LENGTH = 8;
+const VAULT_IV_LENGTH = 12;
+// Entry fields sealed as text, in entries and in their old versions alike
+const VAULT_ENTRY_FIELDS = ['title', 'description', 'fileName', 'mimeType'];
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+function concatBytes(...parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+async function derivePassphraseKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// A data key is 64 random bytes: the first half encrypts, the second half
+// makes the IVs of sealed texts and the hashed search terms
+async function importDataKey(id, raw) {
+    const [aes, mac] = await Promise.all([
+        crypto.subtle.importKey('raw', raw.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+        crypto.subtle.importKey('raw', raw.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    ]);
+    return { id, aes, mac };
+}
+
+async function encryptBytes(key, bytes, iv = randomBytes(VAULT_IV_LENGTH)) {
+    const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+    return concatBytes(iv, data);
+}
+
+async function decryptBytes(key, bytes) {
+    const iv = bytes.subarray(0, VAULT_IV_LENGTH);
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, bytes.subarray(VAULT_IV_LENGTH)));
+}
+
+async function hmacBytes(key, text) {
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text)));
+}
+
+function isSealedText(value) {
+    return !!value && typeof value === 'object' && typeof value.vault === 'string';
+}
+
+function isSealedBlob(value) {
+    return typeof Blob !== 'undefined' && value instanceof Blob && value.type === VAULT_BLOB_TYPE;
+}
+
+class Vault {
+    constructor(manager) {
+        this.manager = manager;
+        // { salt, iterations, keys: { id: wrapped key }, current: id or null, pending }.
+        // current is null while the vault is being turned off; pending is set
+        // until everything is sealed with the current key (or opened, without one).
+        this.config = manager.getLocalStore(VAULT_KEY, null);
+        // Unlocked data keys by id
+        this.keys = null;
+        this.resealTask = Promise.resolve();
+        this.isResealing = false;
+    }
+
+    get enabled() {
+        return !!this.config;
+    }
+
+    get locked() {
+        return this.enabled && !this.keys;
+    }
+
+    // The key new data is sealed with; null stores it as it is
+    get currentKey() {
+        return this.keys && this.config.current ? this.keys.get(this.config.current) : null;
+    }
+
+    // null once the vault is off
+    saveConfig() {
+        this.manager.setLocalStore(VAULT_KEY, this.config);
+    }
+
+    // Unwrap the data keys. Returns false for a wrong passphrase.
+    async unlock(passphrase) {
+        const passphraseKey = await derivePassphraseKey(passphrase, base64ToBytes(this.config.salt), this.config.iterations);
+        try {
+            this.keys = await this.unwrapKeys(passphraseKey, this.config.keys);
+            return true;
+        } catch (error) {
+            // AES-GCM refuses to decrypt with the wrong key
+            return false;
+        }
+    }
+
+    async unwrapKeys(passphraseKey, wrapped) {
+        const keys = new Map();
+        for (const [id, value] of Object.entries(wrapped)) {
+            keys.set(id, await importDataKey(id, await decryptBytes(passphraseKey, base64ToBytes(value))));
+        }
+        return keys;
+    }
+
+    // Wrap the raw data keys under a passphrase and start sealing with the new
+    // one. Earlier keys are kept until nothing is sealed with them any more.
+    async setPassphrase(passphrase, rawKeys, current) {
+        const salt = randomBytes(16);
+        const passphraseKey = await derivePassphraseKey(passphrase, salt, VAULT_ITERATIONS);
+        const keys = {};
+        for (const [id, raw] of rawKeys) {
+            keys[id] = bytesToBase64(await encryptBytes(passphraseKey, raw));
+        }
+        this.config = { salt: bytesToBase64(salt), iterations: VAULT_ITERATIONS, keys, current, pending: true };
+        this.saveConfig();
+        this.keys = await this.unwrapKeys(passphraseKey, keys);
+    }
+
+    createRawKey() {
+        const id = Array.from(randomBytes(VAULT_KEY_ID_LENGTH / 2), byte => byte.toString(16).padStart(2, '0')).join('');
+        return [id, randomBytes(64)];
+    }
+
+    // Drop the keys; the page reloads so nothing opened stays in memory
+    lock() {
+        this.keys = null;
+    }
+
+    // Turn the vault on, then seal the library
+    async enable(passphrase, onProgress) {
+        const [id, raw] = this.createRawKey();
+        await this.setPassphrase(passphrase, [[id, raw]], id);
+        await this.resealLibrary(onProgress);
+    }
+
+    // Checks the current passphrase first, since the raw keys can only be had through it
+    async changePassphrase(passphrase, newPassphrase, onProgress) {
+        const rawKeys = await this.readRawKeys(passphrase);
+        if (!rawKeys) return false;
+        const [id, raw] = this.createRawKey();
+        await this.setPassphrase(newPassphrase, [...rawKeys, [id, raw]], id);
+        await this.resealLibrary(onProgress);
+        return true;
+    }
+
+    async disable(passphrase, onProgress) {
+        const rawKeys = await this.readRawKeys(passphrase);
+        if (!rawKeys) return false;
+        this.config = { ...this.config, current: null, pending: true };
+        this.saveConfig();
+        await this.resealLibrary(onProgress);
+        return true;
+    }
+
+    async readRawKeys(passphrase) {
+        const passphraseKey = await derivePassphraseKey(passphrase, base64ToBytes(this.config.salt), this.config.iterations);
+        try {
+            const rawKeys = [];
+            for (const [id, value] of Object.entries(this.config.keys)) {
+                rawKeys.push([id, await decryptBytes(passphraseKey, base64ToBytes(value))]);
+            }
+            return rawKeys;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getKey(id) {
+        const key = this.keys && this.keys.get(id);
+        if (!key) {
+            throw new Error(this.keys ? `Data was sealed with key ${id}, which the vault no longer has` : 'The vault is locked');
+        }
+        return key;
+    }
+
+    // Files are sealed with a random IV: key id, IV, then the encrypted type and bytes
+    async sealBlob(blob, key = this.currentKey) {
+        if (!key || !blob || isSealedBlob(blob)) return blob;
+        const type = new TextEncoder().encode(blob.type);
+        const header = new Uint8Array(2 + type.length);
+        new DataView(header.buffer).setUint16(0, type.length);
+        header.set(type, 2);
+        const data = await encryptBytes(key.aes, concatBytes(header, new Uint8Array(await blob.arrayBuffer())));
+        return new Blob([new TextEncoder().encode(key.id), data], { type: VAULT_BLOB_TYPE });
+    }
+
+    async openBlob(blob) {
+        if (!isSealedBlob(blob)) return blob;
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const key = this.getKey(new TextDecoder().decode(bytes.subarray(0, VAULT_KEY_ID_LENGTH)));
+        const payload = await decryptBytes(key.aes, bytes.subarray(VAULT_KEY_ID_LENGTH));
+        const typeLength = new DataView(payload.buffer).getUint16(0);
+        const type = new TextDecoder().decode(payload.subarray(2, 2 + typeLength));
+        return new Blob([payload.subarray(2 + typeLength)], { type });
+    }
+
+    async getBlobKeyId(blob) {
+        return isSealedBlob(blob) ? (await blob.slice(0, VAULT_KEY_ID_LENGTH).text()) : null;
+    }
+
+    // Text gets an IV made from its own HMAC, so the same text always seals to
+    // the same value and an unchanged description does not count as an edit
+    // (see stampFieldTimes() in sync.js). That only tells equal texts apart.
+    async sealText(text, key = this.currentKey) {
+        if (!key || typeof text !== 'string' || !text) return text;
+        const iv = (await hmacBytes(key.mac, `text:${text}`)).slice(0, VAULT_IV_LENGTH);
+        return { vault: key.id, data: bytesToBase64(await encryptBytes(key.aes, new TextEncoder().encode(text), iv)) };
+    }
+
+    async openText(value) {
+        if (!isSealedText(value)) return value;
+        return new TextDecoder().decode(await decryptBytes(this.getKey(value.vault).aes, base64ToBytes(value.data)));
+    }
+
+    // Search terms are stored as HMACs, so a vault only finds whole words
+    async hashTerm(term, key = this.currentKey) {
+        if (!key) return term;
+        return `${key.id}:${bytesToBase64(await hmacBytes(key.mac, `term:${term}`)).slice(0, 22)}`;
+    }
+
+    // The stored forms of a search token under every key, for exact lookups
+    async getTermLookups(token) {
+        return Promise.all(Array.from(this.keys.values(), key => this.hashTerm(token, key)));
+    }
+
+    // Custom text values are stored as HMACs in the fieldValues index
+    async hashFieldValue(value, key = this.currentKey) {
+        if (!key) return value;
+        return `${key.id}:${bytesToBase64(await hmacBytes(key.mac, `field:${value}`)).slice(0, 22)}`;
+    }
+
+    // The index keys a custom text filter matches: the plain value, for
+    // entries not sealed yet, and its HMAC under every key
+    async getFieldLookups(fieldId, value) {
+        const hashes = this.keys ? await Promise.all(Array.from(this.keys.values(), key => this.hashFieldValue(value, key))) : [];
+        return [value, ...hashes].map(lookup => [fieldId, lookup]);
+    }
+
+    // The title's sort key is left out, so the list sorts titles after opening
+    // them (see loadEntries() in script.js). Date fields and numbers stay as
+    // they are for the calendar, reminders and range filters.
+    async sealEntry(entry, key = this.currentKey) {
+        if (!key) return entry;
+        const sealed = { ...entry };
+        for (const field of VAULT_ENTRY_FIELDS) {
+            if (field in entry) sealed[field] = await this.sealText(entry[field], key);
+        }
+        delete sealed.sortTitle;
+
+        if (entry.fields) {
+            const dateFields = new Set(this.manager.settings.customFields.filter(field => field.type === 'date').map(field => field.id));
+            sealed.fields = {};
+            for (const [id, value] of Object.entries(entry.fields)) {
+                sealed.fields[id] = dateFields.has(id) ? value : await this.sealText(value, key);
+            }
+            sealed.fieldKeys = [];
+            for (const [id, value] of getFieldKeys(entry.fields)) {
+                sealed.fieldKeys.push([id, sealed.fields[id] === entry.fields[id] ? value : await this.hashFieldValue(value, key)]);
+            }
+        }
+        return sealed;
+    }
+
+    // Also puts back the sort key and index keys that sealEntry() replaced
+    async openEntry(entry) {
+        const fieldValues = entry && entry.fields ? Object.values(entry.fields) : [];
+        if (!entry || ![...VAULT_ENTRY_FIELDS.map(field => entry[field]), ...fieldValues].some(isSealedText)) return entry;
+        const opened = { ...entry };
+        for (const field of VAULT_ENTRY_FIELDS) {
+            if (field in entry) opened[field] = await this.openText(entry[field]);
+        }
+        opened.sortTitle = getSortTitle(opened.title);
+        if (entry.fields) {
+            opened.fields = {};
+            for (const [id, value] of Object.entries(entry.fields)) {
+                opened.fields[id] = await this.openText(value);
+            }
+            opened.fieldKeys = getFieldKeys(opened.fields);
+        }
+        return opened;
+    }
+
+    async openEntries(entries) {
+        return Promise.all(entries.map(entry => this.openEntry(entry)));
+    }
+
+    // Bring every stored record in line with the current key: seal what is
+    // plain or sealed with an older key, or open everything when the vault is
+    // being turned off. Entries changed meanwhile are done again.
+    resealLibrary(onProgress = () => {}) {
+        // One pass at a time; a pass started later picks up a newer key
+        this.resealTask = this.resealTask.catch(() => {}).then(() => this.resealAll(onProgress));
+        return this.resealTask;
+    }
+
+    async resealAll(onProgress) {
+        const key = this.currentKey;
+        this.isResealing = true;
+        try {
+            let ids = await this.manager.storage.getAllKeys(STORE_NAME);
+            const total = ids.length;
+            let done = 0;
+            for (let attempt = 0; attempt < 3 && ids.length > 0; attempt++) {
+                const retry = [];
+                for (const id of ids) {
+                    if (await this.resealEntry(id, key)) {
+                        onProgress(++done, total);
+                    } else {
+                        retry.push(id);
+                    }
+                }
+                ids = retry;
+            }
+            // Left for the next unlock if entries kept changing, or for the
+            // next pass if the key was changed again meanwhile
+            if (ids.length > 0 || this.currentKey !== key) return;
+
+            if (this.config.current) {
+                const wrapped = this.config.keys[this.config.current];
+                this.config = { ...this.config, keys: { [this.config.current]: wrapped }, pending: false };
+                this.keys = new Map([[this.config.current, this.keys.get(this.config.current)]]);
+            } else {
+                this.config = null;
+                this.keys = null;
+            }
+            this.saveConfig();
+        } finally {
+            this.isResealing = false;
+        }
+    }
+
+    // Returns false when the entry or any of its records changed while it was being sealed
+    async resealEntry(id, key) {
+        const { storage } = this.manager;
+        const targetId = key ? key.id : null;
+        const reseal = async (blob) => (await this.getBlobKeyId(blob)) === targetId
+            ? blob
+            : this.sealBlob(await this.openBlob(blob), key);
+        const resealText = async (value) => (isSealedText(value) ? value.vault : null) === targetId
+            ? value
+            : this.sealText(await this.openText(value), key);
+        // Sealing is deterministic, so fields already under the key come out the same
+        const resealFields = async (value) => this.sealEntry(await this.openEntry(value), key);
+
+        const entry = await storage.get(STORE_NAME, id);
+        if (!entry) return true;
+        const file = await storage.get(FILES_STORE, id);
+        const thumbnail = await storage.get(THUMBNAILS_STORE, id);
+        const text = await storage.get(TEXTS_STORE, id);
+        const versions = await storage.getAllFromIndex(VERSIONS_STORE, 'entryId', id);
+        // Blobs come back from storage as new objects, so they are compared by type and size
+        const stamp = (...records) => JSON.stringify(records, (field, value) => value instanceof Blob ? `${value.type}:${value.size}` : value);
+        const readStamp = stamp(file, thumbnail, text, versions);
+
+        const sealedEntry = await resealFields(entry);
+        const sealedFile = file && await reseal(file);
+        const sealedThumbnail = thumbnail && thumbnail.blob ? { blob: await reseal(thumbnail.blob) } : thumbnail;
+        const sealedVersions = [];
+        for (const version of versions) {
+            const sealedVersion = { ...version, entry: await resealFields(version.entry) };
+            if (version.file) sealedVersion.file = await reseal(version.file);
+            sealedVersions.push(sealedVersion);
+        }
+
+        // The terms are worked out again from the text whenever it changes key
+        let sealedText = text;
+        let terms = null;
+        if (text && text.text !== undefined) {
+            const sealed = await resealText(text.text);
+            if (sealed !== text.text) {
+                const plain = await this.openText(text.text);
+                sealedText = { text: sealed };
+                terms = [];
+                for (const [term, count] of countTerms(plain || '')) {
+                    terms.push({ term: await this.hashTerm(term, key), entryId: id, count });
+                }
+            }
+        }
+
+        const stores = [STORE_NAME, FILES_STORE, THUMBNAILS_STORE, TEXTS_STORE, TERMS_STORE, VERSIONS_STORE];
+        return storage.transaction(stores, async (tx) => {
+            const current = await tx.get(STORE_NAME, id);
+            if (!current) return true;
+            if (JSON.stringify(current) !== JSON.stringify(entry)) return false;
+            // Text, thumbnails and versions are written without touching the entry
+            const currentStamp = stamp(
+                await tx.get(FILES_STORE, id),
+                await tx.get(THUMBNAILS_STORE, id),
+                await tx.get(TEXTS_STORE, id),
+                await tx.getAllFromIndex(VERSIONS_STORE, 'entryId', id)
+            );
+            if (currentStamp !== readStamp) return false;
+
+            await tx.put(STORE_NAME, sealedEntry);
+            if (sealedFile) await tx.put(FILES_STORE, sealedFile, id);
+            if (thumbnail) await tx.put(THUMBNAILS_STORE, sealedThumbnail, id);
+            if (text) await tx.put(TEXTS_STORE, sealedText, id);
+            if (terms) {
+                for (const termKey of await tx.getAllKeysFromIndex(TERMS_STORE, 'entryId', id)) {
+                    await tx.delete(TERMS_STORE, termKey);
+                }
+                for (const term of terms) {
+                    await tx.put(TERMS_STORE, term);
+                }
+            }
+            for (const version of sealedVersions) {
+                await tx.put(VERSIONS_STORE, version);
+            }
+            return true;
+        });
+    }
+}